@@ -0,0 +1,603 @@
+// Type definitions for now-client
+
+/// <reference types="node" />
+
+import {EventEmitter} from 'events'
+import {Readable} from 'stream'
+
+export = Now
+
+declare class Now extends EventEmitter {
+  constructor(token?: string, options?: Now.Options)
+  constructor(options?: Now.Options)
+
+  options: Now.Options
+  token: string
+  teamId?: string
+  team?: string
+  strict: boolean
+  middleware: Now.Middleware[]
+
+  withTeam(team: string | {teamId: string} | {team: string}): Now
+  use(fn: Now.Middleware): this
+  batch<T>(ops: Array<() => T | Promise<T>>, callback: Now.Callback<Now.BatchReport<T>>): Promise<Now.BatchReport<T>>
+  batch<T>(ops: Array<() => T | Promise<T>>, options?: Now.ConcurrencyOptions, callback?: Now.Callback<Now.BatchReport<T>>): Promise<Now.BatchReport<T>>
+
+  getDeployments(callback: Now.Callback<Now.Deployment[]>): Promise<Now.Deployment[]>
+  getDeployments(options?: Now.ListOptions, callback?: Now.Callback<Now.Deployment[]>): Promise<Now.Deployment[]>
+  iterateDeployments(options?: Now.ListOptions): Now.AsyncIterator<Now.Deployment>
+  getDeployment(id: string, callback: Now.Callback<Now.Deployment>): Promise<Now.Deployment>
+  getDeployment(id: string, options?: Now.SignalOptions, callback?: Now.Callback<Now.Deployment>): Promise<Now.Deployment>
+  waitForDeployment(id: string, callback: Now.Callback<Now.Deployment>): Promise<Now.Deployment>
+  waitForDeployment(id: string, options?: Now.WaitOptions, callback?: Now.Callback<Now.Deployment>): Promise<Now.Deployment>
+  createDeployment(body: Now.DeploymentBody, callback: Now.Callback<Now.CreatedDeployment>): Promise<Now.CreatedDeployment>
+  createDeployment(body: Now.DeploymentBody, options?: Now.CreateDeploymentOptions, callback?: Now.Callback<Now.CreatedDeployment>): Promise<Now.CreatedDeployment>
+  uploadFile(data: Buffer | string, callback: Now.Callback<Now.UploadedFile>): Promise<Now.UploadedFile>
+  uploadFile(data: Buffer | string, options?: Now.SignalOptions, callback?: Now.Callback<Now.UploadedFile>): Promise<Now.UploadedFile>
+  deployDirectory(dir: string, callback: Now.Callback<Now.DirectoryDeployment>): Promise<Now.DirectoryDeployment>
+  deployDirectory(dir: string, options?: Now.DeployDirectoryOptions, callback?: Now.Callback<Now.DirectoryDeployment>): Promise<Now.DirectoryDeployment>
+  deleteDeployment(id: string, callback: Now.Callback<Now.DeletedDeployment>): Promise<Now.DeletedDeployment>
+  deleteDeployment(id: string, options?: Now.SignalOptions, callback?: Now.Callback<Now.DeletedDeployment>): Promise<Now.DeletedDeployment>
+  deleteDeployments(ids: string[], callback: Now.Callback<Now.BatchDeleteReport<Now.DeletedDeployment>>): Promise<Now.BatchDeleteReport<Now.DeletedDeployment>>
+  deleteDeployments(ids: string[], options?: Now.ConcurrencyOptions, callback?: Now.Callback<Now.BatchDeleteReport<Now.DeletedDeployment>>): Promise<Now.BatchDeleteReport<Now.DeletedDeployment>>
+  pruneDeployments(policy: Now.RetentionPolicy, callback?: Now.Callback<Now.PruneReport>): Promise<Now.PruneReport>
+  getFiles(id: string, callback: Now.Callback<Now.FileNode[]>): Promise<Now.FileNode[]>
+  getFiles(id: string, options?: Now.SignalOptions, callback?: Now.Callback<Now.FileNode[]>): Promise<Now.FileNode[]>
+  getDeploymentLogs(id: string, options?: Now.LogOptions): Readable
+  getFile(id: string, fileId: string, options: {raw: true, signal?: Now.AbortSignalLike}, callback?: Now.Callback<Buffer>): Promise<Buffer>
+  getFile(id: string, fileId: string, callback: Now.Callback<any>): Promise<any>
+  getFile(id: string, fileId: string, options?: {raw?: boolean, signal?: Now.AbortSignalLike}, callback?: Now.Callback<any>): Promise<any>
+  downloadDeployment(id: string, dir: string, callback: Now.Callback<Now.DownloadedFile[]>): Promise<Now.DownloadedFile[]>
+  downloadDeployment(id: string, dir: string, options?: Now.ConcurrencyOptions, callback?: Now.Callback<Now.DownloadedFile[]>): Promise<Now.DownloadedFile[]>
+  diffDeployments(idA: string, idB: string | {dir: string}, callback: Now.Callback<Now.DeploymentDiff>): Promise<Now.DeploymentDiff>
+  diffDeployments(idA: string, idB: string | {dir: string}, options?: Now.DiffOptions, callback?: Now.Callback<Now.DeploymentDiff>): Promise<Now.DeploymentDiff>
+
+  getDomains(callback: Now.Callback<Now.Domain[]>): Promise<Now.Domain[]>
+  getDomains(options?: Now.ListOptions, callback?: Now.Callback<Now.Domain[]>): Promise<Now.Domain[]>
+  iterateDomains(options?: Now.ListOptions): Now.AsyncIterator<Now.Domain>
+  addDomain(domain: {name: string, isExternalDNS?: boolean}, callback: Now.Callback<Now.CreatedDomain>): Promise<Now.CreatedDomain>
+  addDomain(domain: {name: string, isExternalDNS?: boolean}, options?: Now.SignalOptions, callback?: Now.Callback<Now.CreatedDomain>): Promise<Now.CreatedDomain>
+  deleteDomain(name: string, callback: Now.Callback<{uid: string}>): Promise<{uid: string}>
+  deleteDomain(name: string, options?: Now.SignalOptions, callback?: Now.Callback<{uid: string}>): Promise<{uid: string}>
+  getDomainRecords(domain: string, callback: Now.Callback<Now.DnsRecord[]>): Promise<Now.DnsRecord[]>
+  getDomainRecords(domain: string, options?: Now.SignalOptions, callback?: Now.Callback<Now.DnsRecord[]>): Promise<Now.DnsRecord[]>
+  addDomainRecord(domain: string, recordData: Now.DnsRecordData, callback: Now.Callback<{uid: string}>): Promise<{uid: string}>
+  addDomainRecord(domain: string, recordData: Now.DnsRecordData, options?: Now.SignalOptions, callback?: Now.Callback<{uid: string}>): Promise<{uid: string}>
+  deleteDomainRecord(domain: string, recordId: string, callback: Now.Callback<{}>): Promise<{}>
+  deleteDomainRecord(domain: string, recordId: string, options?: Now.SignalOptions, callback?: Now.Callback<{}>): Promise<{}>
+  exportZone(domain: string, callback: Now.Callback<string>): Promise<string>
+  exportZone(domain: string, options?: Now.SignalOptions, callback?: Now.Callback<string>): Promise<string>
+  importZone(domain: string, zone: string, callback: Now.Callback<Now.ZoneImport>): Promise<Now.ZoneImport>
+  importZone(domain: string, zone: string, options?: Now.ConcurrencyOptions, callback?: Now.Callback<Now.ZoneImport>): Promise<Now.ZoneImport>
+  planDomainRecords(domain: string, desired: Now.DnsRecordData[] | string, callback: Now.Callback<Now.RecordPlan>): Promise<Now.RecordPlan>
+  planDomainRecords(domain: string, desired: Now.DnsRecordData[] | string, options?: Now.PlanOptions, callback?: Now.Callback<Now.RecordPlan>): Promise<Now.RecordPlan>
+  applyDomainRecords(domain: string, plan: Now.RecordPlan, callback: Now.Callback<Now.ApplyReport>): Promise<Now.ApplyReport>
+  applyDomainRecords(domain: string, plan: Now.RecordPlan, options?: Now.DryRunOptions, callback?: Now.Callback<Now.ApplyReport>): Promise<Now.ApplyReport>
+
+  getCertificates(callback?: Now.Callback<Now.Certificate[]>): Promise<Now.Certificate[]>
+  getCertificates(options: Now.ListOptions, callback?: Now.Callback<Now.Certificate[]>): Promise<Now.Certificate[]>
+  getCertificates(cn: string, options?: Now.ListOptions | Now.Callback<Now.Certificate[]>, callback?: Now.Callback<Now.Certificate[]>): Promise<Now.Certificate[]>
+  iterateCertificates(options?: Now.ListOptions): Now.AsyncIterator<Now.Certificate>
+  createCertificate(cn: string, callback: Now.Callback<Now.CreatedCertificate>): Promise<Now.CreatedCertificate>
+  createCertificate(cn: string, options?: Now.SignalOptions, callback?: Now.Callback<Now.CreatedCertificate>): Promise<Now.CreatedCertificate>
+  renewCertificate(cn: string, callback: Now.Callback<Now.CreatedCertificate>): Promise<Now.CreatedCertificate>
+  renewCertificate(cn: string, options?: Now.SignalOptions, callback?: Now.Callback<Now.CreatedCertificate>): Promise<Now.CreatedCertificate>
+  checkCertificates(callback: Now.Callback<Now.CertificateReport>): Promise<Now.CertificateReport>
+  checkCertificates(options?: Now.CheckCertificatesOptions, callback?: Now.Callback<Now.CertificateReport>): Promise<Now.CertificateReport>
+  monitorCertificates(options?: Now.MonitorOptions): Now.CertificateMonitor
+  replaceCertificate(cn: string, cert: string, key: string, callback: Now.Callback<{created: string}>): Promise<{created: string}>
+  replaceCertificate(cn: string, cert: string, key: string, ca?: string | Now.ReplaceCertificateOptions, callback?: Now.Callback<{created: string}>): Promise<{created: string}>
+  deleteCertificate(cn: string, callback: Now.Callback<{}>): Promise<{}>
+  deleteCertificate(cn: string, options?: Now.SignalOptions, callback?: Now.Callback<{}>): Promise<{}>
+
+  getAliases(callback?: Now.Callback<Now.Alias[]>): Promise<Now.Alias[]>
+  getAliases(options: Now.ListOptions, callback?: Now.Callback<Now.Alias[]>): Promise<Now.Alias[]>
+  getAliases(id: string, options?: Now.ListOptions | Now.Callback<Now.Alias[]>, callback?: Now.Callback<Now.Alias[]>): Promise<Now.Alias[]>
+  iterateAliases(options?: Now.ListOptions): Now.AsyncIterator<Now.Alias>
+  iterateAliases(id: string, options?: Now.ListOptions): Now.AsyncIterator<Now.Alias>
+  createAlias(id: string, alias: string, callback: Now.Callback<Now.CreatedAlias>): Promise<Now.CreatedAlias>
+  createAlias(id: string, alias: string, options?: Now.SignalOptions, callback?: Now.Callback<Now.CreatedAlias>): Promise<Now.CreatedAlias>
+  promote(id: string, alias: string, callback: Now.Callback<Now.AliasChange>): Promise<Now.AliasChange>
+  promote(id: string, alias: string, options?: Now.PromoteOptions, callback?: Now.Callback<Now.AliasChange>): Promise<Now.AliasChange>
+  rollback(alias: string, callback: Now.Callback<Now.AliasChange>): Promise<Now.AliasChange>
+  rollback(alias: string, options?: Now.PromoteOptions, callback?: Now.Callback<Now.AliasChange>): Promise<Now.AliasChange>
+  getAliasHistory(alias: string, callback: Now.Callback<Now.AliasChange[]>): Promise<Now.AliasChange[]>
+  getAliasHistory(alias: string, options?: Now.SignalOptions, callback?: Now.Callback<Now.AliasChange[]>): Promise<Now.AliasChange[]>
+  deleteAlias(id: string, callback: Now.Callback<{status: string}>): Promise<{status: string}>
+  deleteAlias(id: string, options?: Now.SignalOptions, callback?: Now.Callback<{status: string}>): Promise<{status: string}>
+  deleteAliases(ids: string[], callback: Now.Callback<Now.BatchDeleteReport<{status: string}>>): Promise<Now.BatchDeleteReport<{status: string}>>
+  deleteAliases(ids: string[], options?: Now.ConcurrencyOptions, callback?: Now.Callback<Now.BatchDeleteReport<{status: string}>>): Promise<Now.BatchDeleteReport<{status: string}>>
+
+  getSecrets(callback: Now.Callback<Now.Secret[]>): Promise<Now.Secret[]>
+  getSecrets(options?: Now.ListOptions, callback?: Now.Callback<Now.Secret[]>): Promise<Now.Secret[]>
+  iterateSecrets(options?: Now.ListOptions): Now.AsyncIterator<Now.Secret>
+  createSecret(name: string, value: string, callback: Now.Callback<Now.Secret>): Promise<Now.Secret>
+  createSecret(name: string, value: string, options?: Now.SignalOptions, callback?: Now.Callback<Now.Secret>): Promise<Now.Secret>
+  renameSecret(id: string, name: string, callback: Now.Callback<Now.RenamedSecret>): Promise<Now.RenamedSecret>
+  renameSecret(id: string, name: string, options?: Now.SignalOptions, callback?: Now.Callback<Now.RenamedSecret>): Promise<Now.RenamedSecret>
+  deleteSecret(id: string, callback: Now.Callback<Now.Secret>): Promise<Now.Secret>
+  deleteSecret(id: string, options?: Now.SignalOptions, callback?: Now.Callback<Now.Secret>): Promise<Now.Secret>
+  deleteSecrets(ids: string[], callback: Now.Callback<Now.BatchDeleteReport<Now.Secret>>): Promise<Now.BatchDeleteReport<Now.Secret>>
+  deleteSecrets(ids: string[], options?: Now.ConcurrencyOptions, callback?: Now.Callback<Now.BatchDeleteReport<Now.Secret>>): Promise<Now.BatchDeleteReport<Now.Secret>>
+  syncSecrets(source: string | {[key: string]: string}, callback: Now.Callback<Now.SyncReport>): Promise<Now.SyncReport>
+  syncSecrets(source: string | {[key: string]: string}, options?: Now.SyncSecretsOptions, callback?: Now.Callback<Now.SyncReport>): Promise<Now.SyncReport>
+
+  on(event: 'deployment-state', listener: (deployment: Now.Deployment, previousState?: string) => void): this
+  on(event: string | symbol, listener: (...args: any[]) => void): this
+}
+
+declare namespace Now {
+  type Callback<T> = (err: NowError | Error | undefined, data?: T) => void
+
+  interface AsyncIterator<T> {
+    next(): Promise<{value: T, done: boolean}>
+    [Symbol.asyncIterator](): AsyncIterator<T>
+  }
+
+  interface Options {
+    token?: string
+    profile?: string
+    configFile?: string
+    teamId?: string
+    team?: string
+    baseUrl?: string
+    retry?: RetryPolicy | false
+    aliasHistory?: Store
+    middleware?: Middleware[]
+    cache?: CacheOptions | boolean
+    record?: string
+    replay?: string
+    strict?: boolean
+  }
+
+  interface RetryPolicy {
+    maxAttempts?: number
+    minDelay?: number
+    maxDelay?: number
+    factor?: number
+    jitter?: boolean
+    retryNonIdempotent?: boolean
+  }
+
+  interface CacheOptions {
+    ttl?: number
+    ttls?: {[prefix: string]: number}
+    max?: number
+    store?: Store
+  }
+
+  interface Store {
+    get(key: string): Promise<any>
+    set(key: string, value: any): Promise<void>
+    delete(key: string): Promise<void>
+    keys(): Promise<string[]>
+  }
+
+  // Keeps its values in a JSON file
+  class FileStore implements Store {
+    constructor(file?: string)
+    get(key: string): Promise<any>
+    set(key: string, value: any): Promise<void>
+    delete(key: string): Promise<void>
+    keys(): Promise<string[]>
+  }
+
+  class MemoryStore implements Store {
+    get(key: string): Promise<any>
+    set(key: string, value: any): Promise<void>
+    delete(key: string): Promise<void>
+    keys(): Promise<string[]>
+  }
+
+  // Drops the least recently used values beyond `max`
+  class LRUStore extends MemoryStore {
+    constructor(max?: number)
+  }
+
+  function collect<T>(iterator: AsyncIterator<T>): Promise<T[]>
+
+  interface RequestConfig {
+    method: string
+    url: string
+    headers: {[name: string]: string}
+    qs?: {[key: string]: any}
+    body?: any
+    json?: boolean
+  }
+
+  interface Response {
+    statusCode: number
+    headers: {[name: string]: string}
+    body: any
+    fromCache?: boolean
+    fromFixtures?: boolean
+  }
+
+  type Middleware = (config: RequestConfig, next: (config: RequestConfig) => Promise<Response>) => Response | Promise<Response>
+
+  // Any `AbortSignal`, like the one of `AbortController`
+  interface AbortSignalLike {
+    aborted: boolean
+    reason?: any
+    addEventListener(type: 'abort', listener: () => void): void
+    removeEventListener(type: 'abort', listener: () => void): void
+  }
+
+  interface SignalOptions {
+    signal?: AbortSignalLike
+  }
+
+  interface ListOptions extends SignalOptions {
+    limit?: number
+    since?: Date | number
+    until?: Date | number
+  }
+
+  interface ConcurrencyOptions extends SignalOptions {
+    concurrency?: number
+  }
+
+  interface DryRunOptions extends ConcurrencyOptions {
+    dryRun?: boolean
+  }
+
+  type BatchResult<T> = {status: 'fulfilled', value: T} | {status: 'rejected', error: NowError | Error}
+
+  interface BatchReport<T> {
+    failed: number
+    results: Array<BatchResult<T>>
+  }
+
+  interface BatchDeleteReport<T> {
+    failed: number
+    results: Array<BatchResult<T> & {id: string}>
+  }
+
+  type DeploymentState = 'INITIALIZING' | 'BUILDING' | 'DEPLOYING' | 'BOOTED' | 'READY' | 'FROZEN' |
+    'BUILD_ERROR' | 'DEPLOYMENT_ERROR' | 'ERROR' | 'DELETED'
+
+  interface Deployment {
+    uid: string
+    name?: string
+    url?: string
+    host?: string
+    state?: DeploymentState
+    created?: number | string
+    [key: string]: any
+  }
+
+  interface CreatedDeployment {
+    uid: string
+    host?: string
+    state?: DeploymentState
+    [key: string]: any
+  }
+
+  interface DirectoryDeployment extends CreatedDeployment {
+    files: string[]
+  }
+
+  interface DeletedDeployment {
+    uid?: string
+    state?: string
+  }
+
+  interface DeploymentBody {
+    package?: object
+    [file: string]: any
+  }
+
+  interface WaitOptions extends SignalOptions {
+    timeout?: number
+    interval?: number
+    maxInterval?: number
+  }
+
+  interface CreateDeploymentOptions extends ConcurrencyOptions {
+    hashed?: boolean
+  }
+
+  interface DeployDirectoryOptions extends CreateDeploymentOptions {
+    package?: object
+  }
+
+  interface UploadedFile {
+    sha: string
+    size: number
+  }
+
+  interface RetentionPolicy extends DryRunOptions {
+    keepLatest?: number
+    olderThanDays?: number
+  }
+
+  interface PruneResult {
+    uid: string
+    name?: string
+    url?: string
+    created?: number | string
+    action: 'keep' | 'delete'
+    reason: 'aliased' | 'latest' | 'recent' | 'superseded' | 'expired'
+    ok: boolean
+    error?: NowError
+  }
+
+  interface PruneReport {
+    dryRun: boolean
+    failed: number
+    results: PruneResult[]
+  }
+
+  interface FileNode {
+    type: 'file' | 'directory'
+    name: string
+    uid: string
+    children?: FileNode[]
+  }
+
+  interface LogOptions extends SignalOptions {
+    follow?: boolean
+    interval?: number
+    maxReconnects?: number
+  }
+
+  interface LogEvent {
+    id?: string
+    type: string
+    created: number
+    text: string
+    date: Date
+    [key: string]: any
+  }
+
+  interface DownloadedFile {
+    path: string
+    size: number
+    sha: string
+  }
+
+  interface DiffOptions extends ConcurrencyOptions {
+    context?: number
+  }
+
+  interface DeploymentDiff {
+    added: string[]
+    removed: string[]
+    modified: string[]
+    diffs: {[path: string]: string}
+  }
+
+  interface Domain {
+    uid: string
+    name: string
+    isExternal?: boolean
+    created?: number | string
+    aliases: string[]
+    [key: string]: any
+  }
+
+  interface CreatedDomain {
+    uid: string
+    created?: number | string
+  }
+
+  type DnsRecordType = 'A' | 'AAAA' | 'ALIAS' | 'CNAME' | 'MX' | 'SRV' | 'TXT'
+
+  interface DnsRecordData {
+    name: string
+    type: DnsRecordType | string
+    value?: string
+    mxPriority?: number
+    srv?: {priority: number, weight: number, port: number, target: string}
+    [key: string]: any
+  }
+
+  interface DnsRecord extends DnsRecordData {
+    id: string
+    created?: number | string
+  }
+
+  interface PlanOptions extends SignalOptions {
+    prune?: boolean
+  }
+
+  interface ZoneImport {
+    created: Array<DnsRecordData & {uid: string}>
+    skipped: Array<{line: number, name: string, type: string}>
+  }
+
+  interface RecordPlan {
+    domain: string
+    creates: DnsRecordData[]
+    deletes: DnsRecord[]
+    unchanged: DnsRecord[]
+  }
+
+  interface ApplyResult {
+    action: 'create' | 'delete'
+    record: DnsRecordData
+    ok: boolean
+    error?: NowError
+  }
+
+  interface ApplyReport {
+    dryRun: boolean
+    failed: number
+    results: ApplyResult[]
+  }
+
+  interface Certificate {
+    uid: string
+    cn: string
+    created?: number | string
+    expiration?: string
+    autoRenew?: boolean
+    [key: string]: any
+  }
+
+  interface CreatedCertificate {
+    uid: string
+    created_at?: string
+  }
+
+  interface ReplaceCertificateOptions extends SignalOptions {
+    ca?: string
+  }
+
+  interface CheckCertificatesOptions extends ConcurrencyOptions {
+    renewWithinDays?: number
+  }
+
+  interface MonitorOptions extends CheckCertificatesOptions {
+    interval?: number
+  }
+
+  interface CertificateStatus {
+    cn: string
+    uid: string
+    expiration: Date
+    daysLeft: number
+    error?: NowError
+  }
+
+  interface CertificateReport {
+    date: Date
+    renewed: CertificateStatus[]
+    failed: CertificateStatus[]
+    healthy: CertificateStatus[]
+  }
+
+  interface CertificateMonitor extends EventEmitter {
+    stop(): void
+    on(event: 'report', listener: (report: CertificateReport) => void): this
+    on(event: 'expiring' | 'renewed' | 'failed', listener: (certificate: CertificateStatus) => void): this
+    on(event: 'error', listener: (err: NowError) => void): this
+    on(event: string | symbol, listener: (...args: any[]) => void): this
+  }
+
+  interface Alias {
+    uid: string
+    alias: string
+    deploymentId: string
+    created?: number | string
+    [key: string]: any
+  }
+
+  interface CreatedAlias {
+    uid: string
+    created?: number | string
+    oldId?: string
+  }
+
+  interface PromoteOptions extends WaitOptions {
+    wait?: boolean
+  }
+
+  interface AliasChange {
+    action: 'promote' | 'rollback'
+    alias: string
+    deploymentId: string
+    previousDeploymentId: string | null
+    date: number
+  }
+
+  interface Secret {
+    uid: string
+    name: string
+    created?: number | string
+  }
+
+  interface RenamedSecret extends Secret {
+    oldName: string
+  }
+
+  interface SyncSecretsOptions extends DryRunOptions {
+    prefix?: string
+    prune?: boolean
+    overwrite?: boolean
+  }
+
+  interface SyncReport {
+    dryRun: boolean
+    created: string[]
+    replaced: string[]
+    skipped: string[]
+    deleted: string[]
+    failed: Array<{name: string, action: 'created' | 'replaced' | 'deleted', code: ErrorCode, message: string, temporary?: string}>
+  }
+
+  type ErrorCode =
+    'api_error' | 'bad_request' | 'unauthorized' | 'forbidden' | 'not_found' | 'rate_limited' |
+    'missing_token' | 'unknown_profile' | 'invalid_config' | 'network_error' | 'server_error' |
+    'invalid_package' | 'symlink_outside_directory' | 'unsafe_path' | 'invalid_zone' |
+    'deployment_failed' | 'deployment_timeout' | 'deployment_not_ready' | 'no_rollback_target' |
+    'invalid_fixtures' | 'replay_mismatch' | 'unexpected_response' | 'aborted' |
+    'missing_id' | 'missing_file_id' | 'missing_body' | 'missing_cn' | 'missing_alias' |
+    'missing_name' | 'missing_value' | 'missing_dir' | 'missing_data' | 'missing_domain' |
+    'missing_zone' | 'missing_records' | 'missing_plan' | 'missing_source' | 'missing_prefix' |
+    'missing_policy' | 'missing_package' | 'missing_ops' | 'missing_ids' | 'plan_domain_mismatch' |
+    // Errors returned by the API keep the code the API sent
+    string
+
+  const ERROR_CODES: {[key: string]: ErrorCode}
+
+  class NowError extends Error {
+    constructor(message: string, props?: object)
+    code: ErrorCode
+    status?: number
+    method?: string
+    url?: string
+    body?: any
+    [key: string]: any
+  }
+
+  class ValidationError extends NowError {}
+  class AuthError extends NowError {}
+  class NotFoundError extends NowError {}
+  class RateLimitError extends NowError {
+    retryAfter?: number
+  }
+  class NetworkError extends NowError {
+    cause?: Error & {code?: string}
+  }
+  class ServerError extends NowError {}
+  class AbortError extends NowError {
+    reason?: any
+  }
+
+  interface MockServerOptions {
+    token?: string
+    latency?: number
+    rateLimit?: {limit: number, window: number}
+    deploymentStates?: DeploymentState[]
+  }
+
+  interface MockRule {
+    method?: string
+    path?: string | RegExp
+    times?: number
+    latency?: number
+    status?: number
+    body?: any
+    headers?: {[name: string]: string}
+    network?: boolean
+  }
+
+  interface MockRequest {
+    method: string
+    path: string
+    query: {[key: string]: string}
+    headers: {[name: string]: string}
+    body: any
+  }
+
+  class MockServer {
+    constructor(options?: MockServerOptions)
+    url?: string
+    requests: MockRequest[]
+    listen(port?: number): Promise<string>
+    close(): Promise<void>
+    reset(): void
+    simulate(rule: MockRule): void
+  }
+}
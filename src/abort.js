@@ -0,0 +1,80 @@
+const {AbortError} = require('./errors')
+
+/**
+ * Creates the error aborted operations reject with.
+ * @return {AbortError}
+ * @param  {AbortSignal} signal     Its `reason`, if any, is kept
+ */
+function createAbortError(signal) {
+  return new AbortError('The operation was aborted', {reason: signal.reason})
+}
+
+/**
+ * Runs a task that can be cancelled by a signal. Once the signal aborts,
+ * `cancel` is called with whatever `start` returned, e.g. to abort the
+ * request, and the promise rejects with an `AbortError` right away.
+ * Methods reporting every item, like `syncSecrets`, wrap their whole
+ * work in it, so aborting rejects once instead of failing every item.
+ * Works with any signal that has `aborted` and `addEventListener`, like
+ * the `AbortSignal` of Node or the `abort-controller` package.
+ * @return {Promise}  Settles like the task, unless aborted first
+ * @param  {AbortSignal} [signal]
+ * @param  {Function} start     Starts the task, returns a promise or thenable
+ * @param  {Function} [cancel]     Cleans up after an abort
+ */
+function abortable(signal, start, cancel) {
+  if (!signal) {
+    return new Promise(resolve => resolve(start()))
+  }
+
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      return reject(createAbortError(signal))
+    }
+
+    let task
+
+    const abort = () => {
+      reject(createAbortError(signal))
+
+      if (cancel) {
+        cancel(task)
+      }
+    }
+
+    const settle = fn => value => {
+      signal.removeEventListener('abort', abort)
+      fn(value)
+    }
+
+    signal.addEventListener('abort', abort)
+
+    try {
+      task = start()
+    } catch (err) {
+      task = Promise.reject(err)
+    }
+
+    Promise.resolve(task).then(settle(resolve), settle(reject))
+  })
+}
+
+/**
+ * Waits, unless the signal aborts first.
+ * @return {Promise}
+ * @param  {Number} ms
+ * @param  {AbortSignal} [signal]
+ */
+function delay(ms, signal) {
+  let timer
+
+  return abortable(signal, () => new Promise(resolve => {
+    timer = setTimeout(resolve, ms)
+  }), () => clearTimeout(timer))
+}
+
+module.exports = {
+  abortable,
+  createAbortError,
+  delay
+}
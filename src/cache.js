@@ -0,0 +1,134 @@
+const {LRUStore} = require('./store')
+
+// Collections a path belongs to. A mutation invalidates the cached
+// responses of the collection it changes, e.g. `createAlias` the alias lists.
+const COLLECTIONS = ['deployments', 'aliases', 'files', 'certs', 'domains', 'records', 'secrets']
+
+// Mutations that change other collections as well
+const CASCADES = {
+  deployments: ['aliases'],
+  domains: ['records', 'aliases', 'certs']
+}
+
+function getCollections(url) {
+  return url.split('?')[0].split('/').filter(segment => COLLECTIONS.indexOf(segment) !== -1)
+}
+
+function clone(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value))
+}
+
+/**
+ * Caches the responses of GET requests. Fresh responses are served without
+ * a request, stale ones are revalidated with `If-None-Match` if the API
+ * sent an `ETag`.
+ * @constructor
+ * @param {Object} options
+ * @param {Number} [options.ttl=5000] - Milliseconds a response is fresh.
+ * @param {Object} [options.ttls] - TTLs by path prefix, e.g. `{ '/domains': 60000 }`.
+ * @param {Number} [options.max=100] - Responses kept by the default `LRUStore`.
+ * @param {Object} [options.store] - Where to keep the responses, see `store.js`.
+ * @param {String} scope - Prefix of the keys, so clients of different tokens
+ * and teams can share a store.
+ */
+function ResponseCache(options, scope) {
+  this.store = options.store || new LRUStore(options.max)
+  this.ttl = options.ttl === undefined ? 5000 : options.ttl
+  this.ttls = options.ttls || {}
+  this.scope = scope
+}
+
+ResponseCache.prototype = {
+  // The TTL of the longest matching prefix wins
+  getTTL(url) {
+    const prefix = Object.keys(this.ttls)
+      .filter(candidate => url.indexOf(candidate) === 0)
+      .sort((a, b) => b.length - a.length)[0]
+
+    return prefix === undefined ? this.ttl : this.ttls[prefix]
+  },
+
+  getKey(config) {
+    return `${this.scope} ${config.url} ${JSON.stringify(config.qs || {})}`
+  },
+
+  /**
+   * Sends a request through the cache.
+   * @return {Promise}  Resolves with the response, `fromCache` is set on cached ones
+   * @param  {Object} config     Config of the request
+   * @param  {Function} send     Sends a request, resolves with the response
+   */
+  fetch(config, send) {
+    const method = (config.method || 'get').toLowerCase()
+
+    if (method !== 'get') {
+      const invalidate = () => this.invalidate(config.url)
+
+      // Even failed mutations may have changed something
+      return send(config).then(res => invalidate().then(() => res), err => invalidate().then(() => {
+        throw err
+      }))
+    }
+
+    if (config.json === false) {
+      return send(config)
+    }
+
+    const key = this.getKey(config)
+
+    return Promise.resolve().then(() => this.store.get(key)).catch(() => undefined).then(entry => {
+      if (entry && entry.expires > Date.now()) {
+        return {statusCode: 200, headers: {etag: entry.etag}, body: clone(entry.body), fromCache: true}
+      }
+
+      const headers = entry && entry.etag ?
+        Object.assign({}, config.headers, {'If-None-Match': entry.etag}) :
+        config.headers
+
+      return send(Object.assign({}, config, {headers})).then(res => {
+        return this.save(key, config.url, res.headers.etag, res.body).then(() => res)
+      }, err => {
+        if (!entry || err.status !== 304) {
+          throw err
+        }
+
+        return this.save(key, config.url, entry.etag, entry.body).then(() => {
+          return {statusCode: 200, headers: {etag: entry.etag}, body: clone(entry.body), fromCache: true}
+        })
+      })
+    })
+  },
+
+  save(key, url, etag, body) {
+    const ttl = this.getTTL(url)
+
+    if (!etag && ttl <= 0) {
+      return Promise.resolve()
+    }
+
+    const entry = {url, etag, body, expires: Date.now() + ttl, collections: getCollections(url)}
+
+    return Promise.resolve().then(() => this.store.set(key, entry)).catch(() => {})
+  },
+
+  /**
+   * Removes the cached responses of the collection a URL changes.
+   * @return {Promise}
+   * @param  {String} url
+   */
+  invalidate(url) {
+    const changed = getCollections(url).slice(-1)
+    const collections = changed.concat(CASCADES[changed[0]] || [])
+    const matches = entry => entry && entry.collections.some(name => collections.indexOf(name) !== -1)
+
+    return Promise.resolve().then(() => this.store.keys()).then(keys => {
+      const own = keys.filter(key => key.indexOf(`${this.scope} `) === 0)
+
+      return Promise.all(own.map(key => Promise.resolve(this.store.get(key)).then(entry => {
+        return matches(entry) ? this.store.delete(key) : undefined
+      })))
+    }).catch(() => {})
+  }
+}
+
+module.exports = ResponseCache
@@ -0,0 +1,457 @@
+#!/usr/bin/env node
+const fs = require('fs')
+
+const Now = require('.')
+
+// Subcommands mapped to the methods they call. `args` become the positional
+// arguments of the method (optional ones in brackets), `toArgs` can reshape
+// them, `options` passes the remaining flags as options object and `format`
+// replaces the default output.
+const COMMANDS = [
+  {command: 'deployments ls', method: 'getDeployments', options: true, iterate: 'iterateDeployments', columns: ['uid', 'name', 'url', 'state', 'created']},
+  {command: 'deployments get', method: 'getDeployment', args: ['id']},
+  {command: 'deployments wait', method: 'waitForDeployment', args: ['id'], options: true},
+  {command: 'deployments create', method: 'createDeployment', args: ['file'], options: true, toArgs: ([file]) => [readJSON(file)]},
+  {command: 'deployments rm', method: 'deleteDeployment', args: ['id']},
+  {
+    command: 'deployments prune',
+    method: 'pruneDeployments',
+    toArgs: (args, options) => [options],
+    format: report => formatTable(report.results, ['uid', 'name', 'created', 'action', 'reason', 'ok'])
+  },
+  {command: 'deployments download', method: 'downloadDeployment', args: ['id', 'dir'], options: true, columns: ['path', 'size', 'sha']},
+  {
+    command: 'deployments diff',
+    method: 'diffDeployments',
+    args: ['idA', '[idB]'],
+    options: true,
+    toArgs: ([idA, idB], options) => [idA, idB || {dir: options.dir || '.'}],
+    format: formatDiff
+  },
+  {command: 'deploy', method: 'deployDirectory', args: ['[dir]'], options: true, toArgs: ([dir]) => [dir || '.']},
+  {command: 'logs', method: 'getDeploymentLogs', args: ['id'], options: true},
+  {command: 'files ls', method: 'getFiles', args: ['id'], columns: ['uid', 'type', 'name']},
+  {command: 'files get', method: 'getFile', args: ['id', 'fileId']},
+  {command: 'files upload', method: 'uploadFile', args: ['path'], toArgs: ([file]) => [fs.readFileSync(file)]},
+  {command: 'domains ls', method: 'getDomains', options: true, iterate: 'iterateDomains', columns: ['uid', 'name', 'isExternal', 'created']},
+  {
+    command: 'domains add',
+    method: 'addDomain',
+    args: ['name'],
+    options: true,
+    toArgs: ([name], options) => [{name, isExternalDNS: Boolean(options.external)}]
+  },
+  {command: 'domains rm', method: 'deleteDomain', args: ['name']},
+  {command: 'dns ls', method: 'getDomainRecords', args: ['domain'], columns: ['id', 'name', 'type', 'value']},
+  {
+    command: 'dns add',
+    method: 'addDomainRecord',
+    args: ['domain', 'name', 'type', 'value'],
+    toArgs: ([domain, name, type, value]) => [domain, {name, type, value}]
+  },
+  {command: 'dns rm', method: 'deleteDomainRecord', args: ['domain', 'id']},
+  {
+    command: 'dns plan',
+    method: 'planDomainRecords',
+    args: ['domain', 'file'],
+    options: true,
+    toArgs: ([domain, file]) => [domain, /\.json$/.test(file) ? readJSON(file) : readText(file)],
+    format: formatPlan
+  },
+  {
+    command: 'dns apply',
+    method: 'applyDomainRecords',
+    args: ['domain', 'plan'],
+    options: true,
+    toArgs: ([domain, file]) => [domain, readJSON(file)],
+    format: formatApply
+  },
+  {command: 'dns export', method: 'exportZone', args: ['domain'], format: zone => zone.replace(/\n$/, '')},
+  {
+    command: 'dns import',
+    method: 'importZone',
+    args: ['domain', 'file'],
+    options: true,
+    toArgs: ([domain, file]) => [domain, readText(file)],
+    format: result => formatTable(result.created, ['uid', 'name', 'type', 'value'])
+  },
+  {command: 'certs ls', method: 'getCertificates', args: ['[cn]'], options: true, iterate: 'iterateCertificates', columns: ['uid', 'cn', 'created', 'expiration']},
+  {command: 'certs add', method: 'createCertificate', args: ['cn']},
+  {command: 'certs renew', method: 'renewCertificate', args: ['cn']},
+  {
+    command: 'certs replace',
+    method: 'replaceCertificate',
+    args: ['cn', 'cert', 'key', '[ca]'],
+    toArgs: ([cn, cert, key, ca]) => [cn, readText(cert), readText(key), ca ? readText(ca) : undefined]
+  },
+  {command: 'certs rm', method: 'deleteCertificate', args: ['cn']},
+  {command: 'certs check', method: 'checkCertificates', options: true, format: formatCertificateReport},
+  {command: 'aliases ls', method: 'getAliases', args: ['[id]'], options: true, iterate: 'iterateAliases', columns: ['uid', 'alias', 'deploymentId', 'created']},
+  {command: 'aliases set', method: 'createAlias', args: ['id', 'alias']},
+  {command: 'aliases rm', method: 'deleteAlias', args: ['id']},
+  {command: 'aliases promote', method: 'promote', args: ['id', 'alias'], options: true},
+  {command: 'aliases rollback', method: 'rollback', args: ['alias'], options: true},
+  {command: 'aliases history', method: 'getAliasHistory', args: ['alias'], columns: ['date', 'action', 'deploymentId', 'previousDeploymentId']},
+  {command: 'secrets ls', method: 'getSecrets', options: true, iterate: 'iterateSecrets', columns: ['uid', 'name', 'created']},
+  {command: 'secrets add', method: 'createSecret', args: ['name', 'value']},
+  {command: 'secrets rename', method: 'renameSecret', args: ['id', 'name']},
+  {command: 'secrets rm', method: 'deleteSecret', args: ['id']},
+  {command: 'secrets sync', method: 'syncSecrets', args: ['file'], options: true, format: formatSync}
+]
+
+// Flags configuring the client itself, not passed on as options
+const GLOBAL_FLAGS = ['json', 'token', 'profile', 'team', 'teamId', 'baseUrl', 'help', 'all']
+
+// Flags that never take a value, so the argument after them stays positional
+const BOOLEAN_FLAGS = ['json', 'help', 'all', 'follow', 'hashed', 'external', 'wait', 'prune', 'dryRun']
+
+// Flags taking numbers, others stay strings even if they look like one, e.g. `--team-id 123`
+const NUMBER_FLAGS = [
+  'limit', 'since', 'until', 'timeout', 'interval', 'maxInterval', 'maxReconnects', 'concurrency',
+  'context', 'keepLatest', 'olderThanDays', 'renewWithinDays'
+]
+
+// The more specific the error class, the more specific the exit code
+const EXIT_CODES = [
+  [Now.ValidationError, 2],
+  [Now.AuthError, 3],
+  [Now.NotFoundError, 4],
+  [Now.RateLimitError, 5],
+  [Now.NetworkError, 6],
+  [Now.ServerError, 7]
+]
+
+function readText(file) {
+  return fs.readFileSync(file, 'utf8')
+}
+
+function readJSON(file) {
+  return JSON.parse(readText(file))
+}
+
+function camelCase(flag) {
+  return flag.replace(/-([a-z])/g, (match, char) => char.toUpperCase())
+}
+
+// Booleans and the values of number flags are passed on as such
+function parseValue(key, value) {
+  if (value === 'true' || value === 'false') {
+    return value === 'true'
+  }
+
+  if (NUMBER_FLAGS.indexOf(key) !== -1 && value !== '' && !isNaN(Number(value))) {
+    return Number(value)
+  }
+
+  return value
+}
+
+/**
+ * Splits arguments into positionals and flags.
+ * `--foo-bar baz` and `--foo-bar=baz` become `{ fooBar: 'baz' }`,
+ * a lone `--foo` becomes `{ foo: true }`.
+ * @return {Object}  `{ positionals, flags }`
+ * @param  {Array} argv
+ */
+function parseArgs(argv) {
+  const positionals = []
+  const flags = {}
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(arg)
+
+    if (!match) {
+      positionals.push(arg)
+      continue
+    }
+
+    const key = camelCase(match[1])
+
+    if (match[2] !== undefined) {
+      flags[key] = parseValue(key, match[2])
+    } else if (BOOLEAN_FLAGS.indexOf(key) === -1 && i + 1 < argv.length && !/^--/.test(argv[i + 1])) {
+      flags[key] = parseValue(key, argv[++i])
+    } else {
+      flags[key] = true
+    }
+  }
+
+  return {positionals, flags}
+}
+
+/**
+ * Finds the command to run. Besides the subcommands, every method of
+ * `Now.prototype` can be called by its name, e.g. `now-client getDeployment <id>`.
+ * @return {Object}  `{ command, args }`, or `undefined` if there is no such command
+ * @param  {Array} positionals
+ */
+function findCommand(positionals) {
+  const found = COMMANDS.find(entry => {
+    const words = entry.command.split(' ')
+    return words.every((word, index) => positionals[index] === word)
+  })
+
+  if (found) {
+    return {command: found, args: positionals.slice(found.command.split(' ').length)}
+  }
+
+  const method = positionals[0]
+
+  const isMethod = Object.prototype.hasOwnProperty.call(Now.prototype, method) &&
+    typeof Now.prototype[method] === 'function' &&
+    !/^(handle|withTeam$)/.test(method)
+
+  if (isMethod) {
+    return {
+      command: {command: method, method, options: true},
+      // Arguments that look like JSON are passed parsed
+      args: positionals.slice(1).map(arg => {
+        try {
+          return JSON.parse(arg)
+        } catch (err) {
+          return arg
+        }
+      })
+    }
+  }
+
+  return undefined
+}
+
+// Lists the changed paths like `git status --short`, followed by the diffs
+function formatDiff(result) {
+  const lines = []
+    .concat(result.added.map(file => `A  ${file}`))
+    .concat(result.removed.map(file => `D  ${file}`))
+    .concat(result.modified.map(file => `M  ${file}`))
+
+  return lines.concat(Object.keys(result.diffs).map(file => result.diffs[file])).join('\n')
+}
+
+function formatRecord(record) {
+  const value = record.srv ? [record.srv.priority, record.srv.weight, record.srv.port, record.srv.target].join(' ') : record.value
+  return [record.name || '@', record.type, record.mxPriority, value].filter(part => part !== undefined).join(' ')
+}
+
+// Marks records like a diff, `-` for deletes and `+` for creates
+function formatPlan(plan) {
+  const lines = plan.deletes.map(record => `- ${formatRecord(record)}`)
+    .concat(plan.creates.map(record => `+ ${formatRecord(record)}`))
+
+  return lines.length > 0 ? lines.join('\n') : 'No changes'
+}
+
+function formatApply(report) {
+  return report.results.map(result => {
+    const status = report.dryRun ? 'planned' : (result.ok ? 'ok' : `failed: ${result.error.message}`)
+    return `${result.action === 'delete' ? '-' : '+'} ${formatRecord(result.record)}  ${status}`
+  }).join('\n')
+}
+
+function formatCertificateReport(report) {
+  const rows = []
+    .concat(report.renewed.map(entry => Object.assign({status: 'renewed'}, entry)))
+    .concat(report.failed.map(entry => Object.assign({status: `failed: ${entry.error.message}`}, entry)))
+    .concat(report.healthy.map(entry => Object.assign({status: 'healthy'}, entry)))
+
+  return formatTable(rows, ['cn', 'expiration', 'daysLeft', 'status'])
+}
+
+function formatSync(report) {
+  const lines = []
+    .concat(report.created.map(name => `+ ${name}`))
+    .concat(report.replaced.map(name => `~ ${name}`))
+    .concat(report.skipped.map(name => `= ${name}`))
+    .concat(report.deleted.map(name => `- ${name}`))
+    .concat(report.failed.map(entry => {
+      return `! ${entry.name}  ${entry.action} failed: ${entry.message}${entry.temporary ? ` (the new value is in ${entry.temporary})` : ''}`
+    }))
+
+  return lines.length > 0 ? lines.join('\n') : 'No secrets to sync'
+}
+
+function formatValue(key, value) {
+  if (value === undefined || value === null) {
+    return ''
+  }
+
+  if (typeof value === 'number' && /created|date|expiration/i.test(key) && value > 1e12) {
+    return new Date(value).toISOString()
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString()
+  }
+
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
+
+/**
+ * Renders an array of objects as table with aligned columns.
+ * @return {String}
+ * @param  {Array} rows
+ * @param  {Array} [columns]     Defaults to the keys with simple values
+ */
+function formatTable(rows, columns) {
+  if (rows.length === 0) {
+    return ''
+  }
+
+  const keys = columns || Object.keys(rows[0]).filter(key => typeof rows[0][key] !== 'object')
+  const cells = rows.map(row => keys.map(key => formatValue(key, row[key])))
+  const widths = keys.map((key, index) => {
+    return cells.reduce((width, row) => Math.max(width, row[index].length), key.length)
+  })
+  const formatRow = row => row.map((cell, index) => cell + ' '.repeat(widths[index] - cell.length)).join('  ').trim()
+
+  return [formatRow(keys)].concat(cells.map(formatRow)).join('\n')
+}
+
+function format(result, command, json) {
+  if (json) {
+    return JSON.stringify(result, null, 2)
+  }
+
+  if (command.format) {
+    return command.format(result)
+  }
+
+  if (Array.isArray(result)) {
+    return formatTable(result, command.columns)
+  }
+
+  if (result && typeof result === 'object') {
+    const width = Object.keys(result).reduce((max, key) => Math.max(max, key.length), 0)
+
+    return Object.keys(result).map(key => {
+      return `${key}${' '.repeat(width - key.length)}  ${formatValue(key, result[key])}`
+    }).join('\n')
+  }
+
+  return result === undefined ? '' : String(result)
+}
+
+function usage() {
+  const lines = COMMANDS.map(entry => {
+    const args = (entry.args || []).map(arg => /^\[/.test(arg) ? arg : `<${arg}>`)
+    return `  now-client ${[entry.command].concat(args).join(' ')}`
+  })
+
+  return [
+    'Usage:',
+    lines.join('\n'),
+    '  now-client <method> [args...]',
+    '',
+    'Options:',
+    '  --json              Print raw JSON instead of tables',
+    '  --all               Fetch every page of list commands',
+    '  --token <token>     API token, defaults to NOW_TOKEN or the config file',
+    '  --profile <name>    Use a profile of the config file, defaults to NOW_PROFILE',
+    '  --team <slug>       Operate within a team',
+    '  --team-id <id>      Operate within a team',
+    '  --base-url <url>    Send requests to another API'
+  ].join('\n')
+}
+
+function getExitCode(err) {
+  const entry = EXIT_CODES.find(([ErrorClass]) => err instanceof ErrorClass)
+  return entry ? entry[1] : 1
+}
+
+// Prints every log event as line, resolves once the stream ends
+function printStream(stream, json, write) {
+  return new Promise((resolve, reject) => {
+    stream.on('data', event => {
+      write(json ? JSON.stringify(event) : `${event.date.toISOString()}  ${event.text}`)
+    })
+    stream.on('error', reject)
+    stream.on('end', resolve)
+  })
+}
+
+/**
+ * Runs the command line tool.
+ * @return {Promise}  Resolves with the exit code
+ * @param  {Array} argv     Arguments without `node` and the script
+ * @param  {Object} [io]     `stdout` and `stderr` streams to write to
+ */
+function run(argv, io = {}) {
+  const stdout = io.stdout || process.stdout
+  const stderr = io.stderr || process.stderr
+  const write = text => text && stdout.write(`${text}\n`)
+  const {positionals, flags} = parseArgs(argv)
+  const found = findCommand(positionals)
+
+  if (flags.help || !found) {
+    (found ? stdout : stderr).write(`${usage()}\n`)
+    return Promise.resolve(flags.help ? 0 : 2)
+  }
+
+  const {command, args} = found
+  const required = (command.args || []).filter(arg => !/^\[/.test(arg))
+
+  if (args.length < required.length) {
+    stderr.write(`Missing <${required[args.length]}>\n\n${usage()}\n`)
+    return Promise.resolve(2)
+  }
+
+  // Iterators take the options last, e.g. `iterateCertificates` has no `cn`
+  const iterate = flags.all && command.iterate && Now.prototype[command.iterate]
+
+  if (iterate && args.length > iterate.length - 1) {
+    stderr.write(`--all doesn't support <${command.args[iterate.length - 1].replace(/[[\]]/g, '')}>\n\n${usage()}\n`)
+    return Promise.resolve(2)
+  }
+
+  const options = Object.keys(flags).reduce((result, key) => {
+    if (GLOBAL_FLAGS.indexOf(key) === -1) {
+      result[key] = flags[key]
+    }
+
+    return result
+  }, {})
+
+  return Promise.resolve().then(() => {
+    const now = new Now({
+      token: flags.token,
+      profile: flags.profile,
+      team: flags.team,
+      teamId: flags.teamId,
+      baseUrl: flags.baseUrl
+    })
+
+    const methodArgs = command.toArgs ? command.toArgs(args, options) : args
+
+    if (flags.all && command.iterate) {
+      return Now.collect(now[command.iterate].apply(now, methodArgs.concat(options)))
+    }
+
+    if (command.options && Object.keys(options).length > 0) {
+      methodArgs.push(options)
+    }
+
+    return now[command.method].apply(now, methodArgs)
+  }).then(result => {
+    if (result && typeof result.pipe === 'function') {
+      return printStream(result, flags.json, write)
+    }
+
+    write(format(result, command, flags.json))
+  }).then(() => 0, err => {
+    stderr.write(`Error: ${err.message}${err.code ? ` (${err.code})` : ''}\n`)
+    return getExitCode(err)
+  })
+}
+
+module.exports = {
+  run,
+  parseArgs,
+  formatTable
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code
+  })
+}
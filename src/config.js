@@ -0,0 +1,120 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const {CODES, AuthError, ValidationError} = require('./errors')
+
+// Options a profile may set, besides the token
+const PROFILE_OPTIONS = ['token', 'teamId', 'team', 'baseUrl']
+
+/**
+ * Paths the config file is looked up at, in order of precedence.
+ * @return {Array}
+ * @param  {Object} env     Environment variables
+ */
+function getConfigPaths(env) {
+  const home = env.HOME || os.homedir()
+  const xdg = env.XDG_CONFIG_HOME || path.join(home, '.config')
+
+  return [
+    path.join(xdg, 'now-client', 'config.json'),
+    path.join(home, '.now.json')
+  ]
+}
+
+// Reads a JSON file, `undefined` if it doesn't exist
+function readConfig(file) {
+  let content
+
+  try {
+    content = fs.readFileSync(file, 'utf8')
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return undefined
+    }
+
+    throw err
+  }
+
+  try {
+    return JSON.parse(content)
+  } catch (err) {
+    throw new ValidationError(`Unable to parse ${file}: ${err.message}`, {
+      code: CODES.INVALID_CONFIG,
+      file
+    })
+  }
+}
+
+// Copies the given keys of an object, leaving out undefined values
+function pick(source, keys) {
+  return keys.reduce((options, key) => {
+    if (source[key] !== undefined) {
+      options[key] = source[key]
+    }
+
+    return options
+  }, {})
+}
+
+/**
+ * Resolves the token and the other options of a profile. In order of precedence:
+ *
+ * 1. `options.token`
+ * 2. The profile named by `options.profile` or `NOW_PROFILE`, which has to exist
+ * 3. `NOW_TOKEN`
+ * 4. The `default` profile, or the `token` at the top of the config file
+ *
+ * The config file is `options.configFile`, `$XDG_CONFIG_HOME/now-client/config.json`
+ * or `~/.now.json`, whichever is found first.
+ * @return {Object}  The options, with those of the profile filled in
+ * @param  {Object} options     Options of the constructor
+ * @param  {Object} [env]     Environment variables
+ */
+function resolveOptions(options, env = process.env) {
+  if (options.token) {
+    return options
+  }
+
+  const profile = options.profile || env.NOW_PROFILE
+
+  if (!profile && env.NOW_TOKEN) {
+    return Object.assign({}, options, {token: env.NOW_TOKEN})
+  }
+
+  const files = options.configFile ? [options.configFile] : getConfigPaths(env)
+  let file
+  let config
+
+  for (let i = 0; i < files.length && !config; i++) {
+    file = files[i]
+    config = readConfig(file)
+  }
+
+  const profiles = (config && config.profiles) || {}
+
+  if (profile && !profiles[profile]) {
+    throw new AuthError(`No profile \`${profile}\` found in ${config ? file : files.join(' or ')}`, {
+      code: CODES.UNKNOWN_PROFILE,
+      profile
+    })
+  }
+
+  const source = profiles[profile || 'default'] || config || {}
+  const resolved = Object.assign(pick(source, PROFILE_OPTIONS), pick(options, Object.keys(options)))
+
+  if (!resolved.token) {
+    throw new AuthError(
+      'No token found. Pass it as `token`, set NOW_TOKEN, or add it to ' +
+      `${files.join(' or ')}`,
+      {code: CODES.MISSING_TOKEN}
+    )
+  }
+
+  return resolved
+}
+
+module.exports = {
+  getConfigPaths,
+  resolveOptions
+}
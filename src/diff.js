@@ -0,0 +1,50 @@
+const {createTwoFilesPatch} = require('diff')
+
+const {sha1, isText} = require('./upload')
+
+// A `Map`, since paths like `constructor` would hit the prototype of an object
+function byPath(files) {
+  return new Map(files.map(file => [file.path, file.data]))
+}
+
+/**
+ * Compares two sets of files by content.
+ * @return {Object}  `{ added, removed, modified, diffs }`, where the first three
+ * are sorted arrays of paths and `diffs` maps the paths of modified text files
+ * to unified diffs
+ * @param  {Array} from     `{ path, data }` of the old files, `data` being a `Buffer`
+ * @param  {Array} to     `{ path, data }` of the new files
+ * @param  {Object} [options]
+ * @param  {Number} [options.context]     Lines of context around changes, defaults to `3`
+ */
+function diffFiles(from, to, options = {}) {
+  const before = byPath(from)
+  const after = byPath(to)
+  const paths = Array.from(new Set(Array.from(before.keys()).concat(Array.from(after.keys())))).sort()
+  const result = {added: [], removed: [], modified: [], diffs: Object.create(null)}
+
+  paths.forEach(file => {
+    const a = before.get(file)
+    const b = after.get(file)
+
+    if (!before.has(file)) {
+      result.added.push(file)
+    } else if (!after.has(file)) {
+      result.removed.push(file)
+    } else if (sha1(a) !== sha1(b)) {
+      result.modified.push(file)
+
+      if (isText(a) && isText(b)) {
+        result.diffs[file] = createTwoFilesPatch(`a/${file}`, `b/${file}`, a.toString('utf8'), b.toString('utf8'), '', '', {
+          context: options.context === undefined ? 3 : options.context
+        })
+      }
+    }
+  })
+
+  return result
+}
+
+module.exports = {
+  diffFiles
+}
@@ -0,0 +1,55 @@
+const fs = require('fs')
+const {promisify} = require('util')
+
+const readFile = promisify(fs.readFile)
+
+const LINE = /^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*)?\s*$/
+
+const ESCAPES = {n: '\n', r: '\r', t: '\t'}
+
+function parseValue(raw) {
+  const value = (raw || '').trim()
+  const quote = value[0]
+
+  if ((quote === '"' || quote === '\'') && value.lastIndexOf(quote) > 0) {
+    const inner = value.slice(1, value.lastIndexOf(quote))
+
+    // Only double quotes understand escapes, like in a shell
+    return quote === '"' ? inner.replace(/\\([nrt"\\])/g, (match, char) => ESCAPES[char] || char) : inner
+  }
+
+  // Unquoted values end at a comment
+  return value.replace(/\s+#.*$/, '')
+}
+
+/**
+ * Parses the content of a `.env` file. Empty lines, comments and
+ * `export` in front of the keys are allowed.
+ * @return {Object}  Values by key
+ * @param  {String} text
+ */
+function parseEnv(text) {
+  return text.split(/\r?\n/).reduce((env, line) => {
+    const match = LINE.exec(line)
+
+    if (match && !/^\s*#/.test(line)) {
+      env[match[1]] = parseValue(match[2])
+    }
+
+    return env
+  }, {})
+}
+
+/**
+ * Reads and parses a `.env` file.
+ * @return {Promise}  Resolves with the values by key
+ * @param  {String} file     Path of the file
+ */
+function readEnv(file) {
+  return readFile(file, 'utf8').then(parseEnv)
+}
+
+module.exports = {
+  parseEnv,
+  readEnv
+}
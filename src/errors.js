@@ -0,0 +1,263 @@
+const util = require('util')
+
+const {getRetryAfter} = require('./retry')
+
+// Thrown before sending anything, when a parameter is missing or invalid
+const ERROR = {
+  MISSING_ID: {
+    code: 'missing_id',
+    message: 'Missing `id` parameter'
+  },
+  MISSING_FILE_ID: {
+    code: 'missing_file_id',
+    message: 'Missing `fileId` parameter'
+  },
+  MISSING_BODY: {
+    code: 'missing_body',
+    message: 'Missing `body` parameter'
+  },
+  MISSING_CN: {
+    code: 'missing_cn',
+    message: 'Missing `cn` parameter'
+  },
+  MISSING_ALIAS: {
+    code: 'missing_alias',
+    message: 'Missing `alias` parameter'
+  },
+  MISSING_NAME: {
+    code: 'missing_name',
+    message: 'Missing `name` parameter'
+  },
+  MISSING_VALUE: {
+    code: 'missing_value',
+    message: 'Missing `value` parameter'
+  },
+  MISSING_DIR: {
+    code: 'missing_dir',
+    message: 'Missing `dir` parameter'
+  },
+  MISSING_DATA: {
+    code: 'missing_data',
+    message: 'Missing `data` parameter'
+  },
+  MISSING_DOMAIN: {
+    code: 'missing_domain',
+    message: 'Missing `domain` parameter'
+  },
+  MISSING_ZONE: {
+    code: 'missing_zone',
+    message: 'Missing `zone` parameter'
+  },
+  MISSING_RECORDS: {
+    code: 'missing_records',
+    message: 'Missing `desired` parameter'
+  },
+  MISSING_PLAN: {
+    code: 'missing_plan',
+    message: 'Missing `plan` parameter'
+  },
+  PLAN_DOMAIN_MISMATCH: {
+    code: 'plan_domain_mismatch',
+    message: 'The `plan` was made for another domain'
+  },
+  MISSING_SOURCE: {
+    code: 'missing_source',
+    message: 'Missing `source` parameter'
+  },
+  MISSING_PREFIX: {
+    code: 'missing_prefix',
+    message: 'Pruning secrets requires a `prefix`'
+  },
+  MISSING_POLICY: {
+    code: 'missing_policy',
+    message: 'Missing `keepLatest` or `olderThanDays` in `policy`'
+  },
+  MISSING_PACKAGE: {
+    code: 'missing_package',
+    message: 'No `package.json` found and no `package` option given'
+  },
+  MISSING_OPS: {
+    code: 'missing_ops',
+    message: 'Missing `ops` parameter'
+  },
+  MISSING_IDS: {
+    code: 'missing_ids',
+    message: 'Missing `ids` parameter'
+  }
+}
+
+// Every `code` the client assigns itself. Errors returned by the API
+// keep the code the API sent.
+const CODES = Object.keys(ERROR).reduce((codes, key) => {
+  codes[key] = ERROR[key].code
+  return codes
+}, {
+  API_ERROR: 'api_error',
+  BAD_REQUEST: 'bad_request',
+  UNAUTHORIZED: 'unauthorized',
+  FORBIDDEN: 'forbidden',
+  NOT_FOUND: 'not_found',
+  RATE_LIMITED: 'rate_limited',
+  MISSING_TOKEN: 'missing_token',
+  UNKNOWN_PROFILE: 'unknown_profile',
+  INVALID_CONFIG: 'invalid_config',
+  NETWORK_ERROR: 'network_error',
+  SERVER_ERROR: 'server_error',
+  INVALID_PACKAGE: 'invalid_package',
+  SYMLINK_OUTSIDE_DIRECTORY: 'symlink_outside_directory',
+  UNSAFE_PATH: 'unsafe_path',
+  INVALID_ZONE: 'invalid_zone',
+  DEPLOYMENT_FAILED: 'deployment_failed',
+  DEPLOYMENT_TIMEOUT: 'deployment_timeout',
+  DEPLOYMENT_NOT_READY: 'deployment_not_ready',
+  NO_ROLLBACK_TARGET: 'no_rollback_target',
+  INVALID_FIXTURES: 'invalid_fixtures',
+  REPLAY_MISMATCH: 'replay_mismatch',
+  UNEXPECTED_RESPONSE: 'unexpected_response',
+  ABORTED: 'aborted'
+})
+
+/**
+ * Base class of every error the client rejects with.
+ * @constructor
+ * @param {String} message
+ * @param {Object} [props] - `code`, `status`, `method`, `url` and `body`
+ * of the failed request, as far as they are known.
+ */
+function NowError(message, props) {
+  Error.call(this, message)
+  Error.captureStackTrace(this, this.constructor)
+
+  this.name = this.constructor.name
+  this.message = message
+  this.code = CODES.API_ERROR
+
+  Object.assign(this, props)
+}
+util.inherits(NowError, Error)
+
+// Invalid parameters, either caught locally or rejected by the API
+function ValidationError(message, props) {
+  NowError.call(this, message, Object.assign({code: CODES.BAD_REQUEST}, props))
+}
+util.inherits(ValidationError, NowError)
+
+// Missing, invalid or insufficient token
+function AuthError(message, props) {
+  NowError.call(this, message, Object.assign({code: CODES.UNAUTHORIZED}, props))
+}
+util.inherits(AuthError, NowError)
+
+function NotFoundError(message, props) {
+  NowError.call(this, message, Object.assign({code: CODES.NOT_FOUND}, props))
+}
+util.inherits(NotFoundError, NowError)
+
+// Carries `retryAfter` in milliseconds, if the API sent a `Retry-After` header
+function RateLimitError(message, props) {
+  NowError.call(this, message, Object.assign({code: CODES.RATE_LIMITED}, props))
+}
+util.inherits(RateLimitError, NowError)
+
+// No response at all, `cause.code` is the one of the system error (e.g. `ECONNRESET`)
+function NetworkError(message, props) {
+  NowError.call(this, message, Object.assign({code: CODES.NETWORK_ERROR}, props))
+}
+util.inherits(NetworkError, NowError)
+
+function ServerError(message, props) {
+  NowError.call(this, message, Object.assign({code: CODES.SERVER_ERROR}, props))
+}
+util.inherits(ServerError, NowError)
+
+// The `AbortSignal` passed as `options.signal` was aborted
+function AbortError(message, props) {
+  NowError.call(this, message, Object.assign({code: CODES.ABORTED}, props))
+}
+util.inherits(AbortError, NowError)
+
+/**
+ * Creates a `ValidationError` out of one of the `ERROR` entries.
+ * @return {ValidationError}
+ * @param  {Object} spec     Object with `code` and `message`
+ */
+function createValidationError(spec) {
+  const err = new ValidationError(spec.message, {code: spec.code})
+  Error.captureStackTrace(err, createValidationError)
+  return err
+}
+
+/**
+ * Turns the errors of `request-promise` into a `NowError`. Anything else,
+ * like a bug in a middleware or a failing store, is returned unchanged.
+ * @return {Error}
+ * @param  {Error} err     Error a request rejected with
+ * @param  {Object} config     Config of the request
+ */
+function fromRequestError(err, config) {
+  if (err instanceof NowError || (err.name !== 'RequestError' && err.name !== 'StatusCodeError')) {
+    return err
+  }
+
+  const request = {
+    method: (config.method || 'get').toUpperCase(),
+    url: config.url
+  }
+
+  // No response at all, `request` keeps the system error as `cause`
+  if (err.name === 'RequestError') {
+    const cause = err.cause || err
+    return new NetworkError(cause.message || String(cause), Object.assign({cause}, request))
+  }
+
+  const status = err.statusCode
+  const body = err.error
+  const apiError = (body && (body.error || body.err)) || {}
+  const message = apiError.message || `${request.method} ${request.url} failed with status ${status}`
+  const props = Object.assign({status, body}, request)
+
+  if (apiError.code) {
+    props.code = apiError.code
+  }
+
+  if (status === 400 || status === 422) {
+    return new ValidationError(message, props)
+  }
+
+  if (status === 401 || status === 403) {
+    return new AuthError(message, Object.assign({
+      code: status === 401 ? CODES.UNAUTHORIZED : CODES.FORBIDDEN
+    }, props))
+  }
+
+  if (status === 404) {
+    return new NotFoundError(message, props)
+  }
+
+  if (status === 429) {
+    return new RateLimitError(message, Object.assign({
+      retryAfter: getRetryAfter(err.response && err.response.headers)
+    }, props))
+  }
+
+  if (status >= 500) {
+    return new ServerError(message, props)
+  }
+
+  return new NowError(message, props)
+}
+
+module.exports = {
+  ERROR,
+  CODES,
+  NowError,
+  ValidationError,
+  AuthError,
+  NotFoundError,
+  RateLimitError,
+  NetworkError,
+  ServerError,
+  AbortError,
+  createValidationError,
+  fromRequestError
+}
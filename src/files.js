@@ -0,0 +1,227 @@
+const fs = require('fs')
+const path = require('path')
+const {promisify} = require('util')
+
+const ignore = require('ignore')
+
+const {CODES, ValidationError} = require('./errors')
+
+const readFile = promisify(fs.readFile)
+const readdir = promisify(fs.readdir)
+const lstat = promisify(fs.lstat)
+const stat = promisify(fs.stat)
+const realpath = promisify(fs.realpath)
+const writeFile = promisify(fs.writeFile)
+const mkdir = promisify(fs.mkdir)
+
+// Never deployed, no matter what the ignore files or `files` say
+const DEFAULT_IGNORES = [
+  '.git',
+  '.hg',
+  '.svn',
+  'node_modules',
+  '.DS_Store',
+  'npm-debug.log',
+  '.npmignore',
+  '.gitignore'
+]
+
+// Reads a file if it exists, resolves with `undefined` otherwise
+function readOptional(file) {
+  return readFile(file, 'utf8').catch(err => {
+    if (err.code === 'ENOENT') {
+      return undefined
+    }
+
+    throw err
+  })
+}
+
+function isInside(root, target) {
+  return target === root || target.indexOf(root + path.sep) === 0
+}
+
+/**
+ * Reads `package.json` of a directory, if there is one.
+ * @return {Promise}  Resolves with the parsed object or `undefined`
+ * @param  {String} root     Absolute path of the directory
+ */
+function readPackage(root) {
+  return readOptional(path.join(root, 'package.json')).then(content => {
+    if (content === undefined) {
+      return undefined
+    }
+
+    try {
+      return JSON.parse(content)
+    } catch (err) {
+      throw new ValidationError(`Unable to parse package.json: ${err.message}`, {
+        code: CODES.INVALID_PACKAGE
+      })
+    }
+  })
+}
+
+/**
+ * Builds the filter deciding which paths end up in a deployment.
+ * A `files` whitelist in `package.json` wins, otherwise `.npmignore`
+ * is used and `.gitignore` as a fallback, just like `npm publish` does.
+ * @return {Promise}  Resolves with `{ skip(relPath), include(relPath) }`
+ * @param  {String} root     Absolute path of the directory
+ * @param  {Object} [pkg]    Parsed `package.json`
+ */
+function createFilter(root, pkg) {
+  const defaults = ignore().add(DEFAULT_IGNORES)
+  const whitelist = pkg && Array.isArray(pkg.files) ? ignore().add(pkg.files) : null
+
+  return Promise.all([
+    readOptional(path.join(root, '.npmignore')),
+    readOptional(path.join(root, '.gitignore'))
+  ]).then(([npmignore, gitignore]) => {
+    const rules = ignore()
+    const ignoreFile = npmignore === undefined ? gitignore : npmignore
+
+    if (!whitelist && ignoreFile) {
+      rules.add(ignoreFile)
+    }
+
+    return {
+      // Directories are only skipped when nothing below them can match
+      skip: rel => defaults.ignores(rel) || (!whitelist && rules.ignores(`${rel}/`)),
+      include: rel => {
+        if (defaults.ignores(rel)) {
+          return false
+        }
+
+        if (rel === 'package.json') {
+          return true
+        }
+
+        return whitelist ? whitelist.ignores(rel) : !rules.ignores(rel)
+      }
+    }
+  })
+}
+
+// Reads a file into `ctx.files`, unless the filter excludes it
+function addFile(ctx, rel, fullPath, stats) {
+  if (!ctx.filter.include(rel)) {
+    return Promise.resolve()
+  }
+
+  return readFile(fullPath).then(data => {
+    ctx.files.push({path: rel, data, mode: stats.mode})
+  })
+}
+
+function visitSymlink(ctx, rel, fullPath) {
+  return realpath(fullPath).then(target => {
+    if (!isInside(ctx.root, target)) {
+      throw new ValidationError(`Symlink \`${rel}\` points outside of the directory`, {
+        code: CODES.SYMLINK_OUTSIDE_DIRECTORY
+      })
+    }
+
+    return stat(target).then(stats => {
+      if (!stats.isDirectory()) {
+        return addFile(ctx, rel, target, stats)
+      }
+
+      // Links back to a parent would never end otherwise
+      if (ctx.visited.indexOf(target) !== -1 || ctx.filter.skip(rel)) {
+        return undefined
+      }
+
+      return walk(ctx, target, rel) // eslint-disable-line no-use-before-define
+    })
+  })
+}
+
+function visit(ctx, rel, fullPath) {
+  return lstat(fullPath).then(stats => {
+    if (stats.isSymbolicLink()) {
+      return visitSymlink(ctx, rel, fullPath)
+    }
+
+    if (stats.isDirectory()) {
+      return ctx.filter.skip(rel) ? undefined : walk(ctx, fullPath, rel) // eslint-disable-line no-use-before-define
+    }
+
+    return stats.isFile() ? addFile(ctx, rel, fullPath, stats) : undefined
+  })
+}
+
+function walk(ctx, current, base) {
+  ctx.visited.push(current)
+
+  return readdir(current).then(names => names.reduce((prev, name) => {
+    const rel = base ? `${base}/${name}` : name
+    return prev.then(() => visit(ctx, rel, path.join(current, name)))
+  }, Promise.resolve()))
+}
+
+/**
+ * Walks a directory and collects the files that should be deployed.
+ * Symlinks are followed as long as they point inside of the directory.
+ * @return {Promise}  Resolves with `{ files, pkg }`, where `files` is an
+ * array of `{ path, data, mode }` sorted by path
+ * @param  {String} dir     Path of the directory
+ */
+function readDirectory(dir) {
+  const ctx = {files: [], visited: []}
+
+  return realpath(path.resolve(dir)).then(root => {
+    ctx.root = root
+    return readPackage(root)
+  }).then(pkg => {
+    ctx.pkg = pkg
+    return createFilter(ctx.root, pkg)
+  }).then(filter => {
+    ctx.filter = filter
+    return walk(ctx, ctx.root, '')
+  }).then(() => ({
+    files: ctx.files.sort((a, b) => a.path < b.path ? -1 : 1),
+    pkg: ctx.pkg
+  }))
+}
+
+/**
+ * Turns the nested structure returned by `getFiles` into a flat list.
+ * Names that would escape the directory they are written to are refused.
+ * @return {Array}  `{ path, uid }` of every file
+ * @param  {Array} entries     As returned by `getFiles`
+ * @param  {String} [base]     Path of the parent directory
+ */
+function flattenTree(entries, base) {
+  return (entries || []).reduce((files, entry) => {
+    if (!entry.name || entry.name === '.' || entry.name === '..' || /[\\/]/.test(entry.name)) {
+      throw new ValidationError(`Unsafe file name \`${entry.name}\` in deployment`, {
+        code: CODES.UNSAFE_PATH
+      })
+    }
+
+    const rel = base ? `${base}/${entry.name}` : entry.name
+
+    if (entry.type === 'directory') {
+      return files.concat(flattenTree(entry.children, rel))
+    }
+
+    return entry.type === 'file' ? files.concat({path: rel, uid: entry.uid}) : files
+  }, [])
+}
+
+/**
+ * Writes a file, creating its parent directories if needed.
+ * @return {Promise}
+ * @param  {String} file     Path of the file
+ * @param  {Buffer|String} data
+ */
+function writeFileDeep(file, data) {
+  return mkdir(path.dirname(file), {recursive: true}).then(() => writeFile(file, data))
+}
+
+module.exports = {
+  readDirectory,
+  flattenTree,
+  writeFileDeep
+}
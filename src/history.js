@@ -0,0 +1,21 @@
+/**
+ * Replays the entries of an alias to find the deployment it pointed to
+ * before the current one. Every `promote` pushes a target, every
+ * `rollback` pops one, so repeated rollbacks walk further back.
+ * @return {Array}  IDs of the deployments, the current target last
+ * @param  {Array} entries     Oldest first
+ */
+function getTargets(entries) {
+  return entries.reduce((targets, entry) => {
+    if (entry.action === 'rollback') {
+      return targets.slice(0, -1)
+    }
+
+    const known = targets.length === 0 && entry.previousDeploymentId ? [entry.previousDeploymentId] : targets
+    return known.concat(entry.deploymentId)
+  }, [])
+}
+
+module.exports = {
+  getTargets
+}
@@ -1,90 +1,184 @@
 const path = require('path')
-const os = require('os')
+const EventEmitter = require('events')
+const {Readable} = require('stream')
 
 const request = require('request-promise-native')
 
-const ERROR = {
-  MISSING_ID: {
-    code: 'missing_id',
-    message: 'Missing `id` parameter'
-  },
-  MISSING_FILE_ID: {
-    code: 'missing_file_id',
-    message: 'Missing `fileId` parameter'
-  },
-  MISSING_BODY: {
-    code: 'missing_body',
-    message: 'Missing `body` parameter'
-  },
-  MISSING_CN: {
-    code: 'missing_cn',
-    message: 'Missing `cn` parameter'
-  },
-  MISSING_ALIAS: {
-    code: 'missing_body',
-    message: 'Missing `alias` parameter'
-  },
-  MISSING_NAME: {
-    code: 'missing_name',
-    message: 'Missing `name` parameter'
-  },
-  MISSING_VALUE: {
-    code: 'missing_value',
-    message: 'Missing `value` parameter'
+const {
+  ERROR,
+  CODES,
+  NowError,
+  ValidationError,
+  AuthError,
+  NotFoundError,
+  RateLimitError,
+  NetworkError,
+  ServerError,
+  AbortError,
+  createValidationError,
+  fromRequestError
+} = require('./errors')
+const {abortable, createAbortError, delay} = require('./abort')
+const ResponseCache = require('./cache')
+const {resolveOptions} = require('./config')
+const {diffFiles} = require('./diff')
+const {readEnv} = require('./env')
+const {readDirectory, flattenTree, writeFileDeep} = require('./files')
+const {getTargets} = require('./history')
+const MockServer = require('./mock-server')
+const CertificateMonitor = require('./monitor')
+const {getListQuery, paginate, collect} = require('./paginate')
+const {mapLimit} = require('./pool')
+const Recorder = require('./recorder')
+const {planRecords} = require('./records')
+const {planRetention} = require('./retention')
+const {createPolicy, isTransient, retry} = require('./retry')
+const {validateResponse} = require('./schemas')
+const {FileStore, MemoryStore, LRUStore} = require('./store')
+const {sha1, toBuffer, isText, createManifest} = require('./upload')
+const {parseZone, formatZone} = require('./zone')
+
+// Deployment states that won't change anymore by themselves
+const READY_STATES = ['READY', 'BOOTED', 'FROZEN']
+const ERROR_STATES = ['BUILD_ERROR', 'DEPLOYMENT_ERROR', 'ERROR', 'DELETED']
+
+/**
+ * Reads the files of one side of a diff, either a deployment or a local directory.
+ * @return {Promise}  Resolves with an array of `{ path, data }`
+ * @param  {Now} now     Client to fetch deployments with
+ * @param  {String|Object} source     ID of a deployment or `{ dir }`
+ * @param  {Number} concurrency     Parallel downloads
+ * @param  {AbortSignal} [signal]     Aborts the downloads
+ */
+function _readSource(now, source, concurrency, signal) {
+  if (source && typeof source === 'object') {
+    return readDirectory(source.dir).then(({files}) => files)
   }
+
+  return now.getFiles(source, {signal}).then(tree => {
+    return mapLimit(flattenTree(tree), concurrency, file => {
+      return now.getFile(source, file.uid, {raw: true, signal}).then(data => ({path: file.path, data}))
+    })
+  })
 }
 
 /**
- * Tries to obtain the API token and returns it.
- * If NOW_TOKEN isn't defined, it will search in the user's home directory
- * @return {String} – now API Token
+ * Picks the fixture mode, options taking precedence over the environment.
+ * @return {Object}  `{ mode, file }`, or `undefined` if neither mode is on
+ * @param  {Object} options     Options of the constructor
+ * @param  {Object} env     Environment variables
  */
-function _getToken() {
-  let token = process.env.NOW_TOKEN
+function _getFixtures(options, env) {
+  const source = options.record || options.replay ? options : {record: env.NOW_RECORD, replay: env.NOW_REPLAY}
 
-  if (!token) {
-    try {
-      const configPath = path.join(os.homedir(), '.now.json')
-      token = require(configPath).token // eslint-disable-line global-require, import/no-dynamic-require
-    } catch (err) {
-      console.error(`Error: ${err}`)
-    }
+  if (source.record && source.replay) {
+    throw new ValidationError('Either record or replay fixtures, not both', {code: CODES.INVALID_CONFIG})
+  }
+
+  if (source.record || source.replay) {
+    return source.record ? {mode: 'record', file: source.record} : {mode: 'replay', file: source.replay}
   }
 
-  return token
+  return undefined
 }
 
 /**
- * Initializes the API. Looks for token in ~/.now.json if none is provided.
+ * Initializes the API. Without a token, it is looked up in the environment
+ * and the config file, see `resolveOptions` in `config.js`.
  * @constructor
- * @param {String} [token] - Your now API token.
+ * @param {String|Object} [token] - Your now API token, or the options including `token`.
+ * @param {Object} [options]
+ * @param {String} [options.profile] - Use the token and options of this profile of the
+ * config file, defaults to `NOW_PROFILE`.
+ * @param {String} [options.configFile] - Read this config file instead of looking it up.
+ * @param {String} [options.teamId] - Operate within the team with this ID.
+ * @param {String} [options.team] - Operate within the team with this slug.
+ * @param {String} [options.baseUrl=https://api.zeit.co] - Where to send requests to,
+ * e.g. the URL of a `Now.MockServer`.
+ * @param {Object|Boolean} [options.retry] - Retry policy for transient failures
+ * (429, 5xx and network errors), or `false` to disable retries.
+ * @param {Number} [options.retry.maxAttempts=3] - Attempts per request, including the first one.
+ * @param {Number} [options.retry.minDelay=500] - Milliseconds before the first retry.
+ * @param {Number} [options.retry.maxDelay=30000] - Upper limit for the exponential backoff and for `Retry-After`.
+ * @param {Number} [options.retry.factor=2] - Multiplier of the delay for every further retry.
+ * @param {Boolean} [options.retry.jitter=true] - Randomizes delays so clients don't retry in lockstep.
+ * @param {Boolean} [options.retry.retryNonIdempotent=false] - Also retry POST, PUT and PATCH requests.
+ * A `Retry-After` header sent by the API takes precedence over the backoff, unless it's longer
+ * than `maxDelay`, which rejects right away.
+ * @param {Object} [options.aliasHistory] - Where `promote` and `rollback` record the
+ * history of aliases, defaults to a `Now.FileStore` in `~/.now-client`.
+ * @param {Array} [options.middleware] - Functions to `use` right away.
+ * @param {Object|Boolean} [options.cache] - Cache the responses of GET requests, see `cache.js`
+ * for the options. Mutations invalidate the cached responses they affect.
+ * @param {String} [options.record] - Record every request and its response into this
+ * fixture file, defaults to `NOW_RECORD`. Tokens and secret values are scrubbed.
+ * @param {String} [options.replay] - Serve the responses of this fixture file instead of
+ * sending requests, defaults to `NOW_REPLAY`. No token is needed then.
+ * @param {Boolean} [options.strict] - Validate responses against the schemas in `schemas.js`
+ * and reject with code `unexpected_response` when they don't match.
  */
-function Now(token = _getToken()) {
-  if (!token) {
-    return console.error(
-      'No token found! ' +
-      'Supply it as argument or use the NOW_TOKEN env variable. ' +
-      '`~/.now.json` will be used, if it\'s found in your home directory.'
-    )
-  }
+function Now(token, options = {}) {
+  const _options = token && typeof token === 'object' ? /* eslint no-underscore-dangle: 0 */
+    Object.assign({}, token) :
+    Object.assign({}, options, {token})
 
   if (!(this instanceof Now)) {
-    return new Now(token)
+    return new Now(_options)
   }
 
-  this.token = token
+  EventEmitter.call(this)
+
+  const fixtures = _getFixtures(_options, process.env)
+
+  // Replayed requests are never sent, so any token will do
+  if (fixtures && fixtures.mode === 'replay' && !_options.token) {
+    _options.token = 'replay'
+  }
+
+  Object.assign(_options, resolveOptions(_options))
+
+  this.options = _options
+  this.token = _options.token
+  this.teamId = _options.teamId
+  this.team = _options.team
+  this.retryPolicy = createPolicy(_options.retry)
+  this.strict = Boolean(_options.strict)
+  this.aliasHistory = _options.aliasHistory || new FileStore()
+  this.middleware = (_options.middleware || []).slice()
+
+  // Every request is scoped to the team, if there is one
+  let scope = {}
+
+  if (this.teamId) {
+    scope = {teamId: this.teamId}
+  } else if (this.team) {
+    scope = {slug: this.team}
+  }
+
+  if (_options.cache) {
+    const cacheOptions = _options.cache === true ? {} : _options.cache
+    this.cache = new ResponseCache(cacheOptions, `${sha1(this.token).slice(0, 12)} ${scope.teamId || scope.slug || ''}`)
+  }
+
+  // Clients of `withTeam` share the recorder, so they write to the same file
+  if (fixtures) {
+    this.recorder = _options.recorder || new Recorder(fixtures.mode, fixtures.file, this.token)
+  }
+
+  this.scope = scope
 
   this.request = request.defaults({
-    baseUrl: 'https://api.zeit.co',
+    baseUrl: _options.baseUrl || 'https://api.zeit.co',
     timeout: 30000,
     json: true,
+    qs: scope,
     headers: {
-      Authorization: `Bearer ${token}`
+      Authorization: `Bearer ${this.token}`
     }
   })
 }
 
-Now.prototype = {
+Now.prototype = Object.assign(Object.create(EventEmitter.prototype), {
   // Checks if callback is present and fires it
   handleCallback(callback, err, data) {
     if (typeof callback === 'function') {
@@ -94,65 +188,312 @@ Now.prototype = {
 
   // Handles errors with Promise and callback support
   handleError(err, callback) {
+    const error = err instanceof Error ? err : createValidationError(err)
+
     return new Promise((resolve, reject) => {
-      reject(err)
-      this.handleCallback(callback, err)
+      reject(error)
+      this.handleCallback(callback, error)
     })
   },
 
-  // Processes requests
-  handleRequest(config, callback, selector) {
+  // Settles a promise with callback support
+  handlePromise(promise, callback) {
     return new Promise((resolve, reject) => {
-      this.request(config)
-        .then(res => {
-          const data = selector ? res[selector] : res
-          resolve(data)
-          this.handleCallback(callback, undefined, data)
-        })
-        .catch(err => {
-          let errData
-          if (err.data && err.data.err) {
-            errData = err.data.err
-          } else if (err.data) {
-            errData = err.data
-          } else {
-            errData = err.toString()
-          }
-          reject(errData)
-          this.handleCallback(callback, errData)
-        })
+      promise.then(data => {
+        resolve(data)
+        this.handleCallback(callback, undefined, data)
+      }, err => {
+        reject(err)
+        this.handleCallback(callback, err)
+      })
     })
   },
 
+  /**
+   * Returns a new client operating within a team, sharing the token and
+   * the other options of this one.
+   * @return {Now}
+   * @param  {String|Object} team     ID of the team, or an object with
+   * either `teamId` or the `team` slug
+   */
+  withTeam(team) {
+    const scope = typeof team === 'string' ? {teamId: team} : team
+
+    return new Now(Object.assign({}, this.options, {
+      middleware: this.middleware,
+      recorder: this.recorder,
+      teamId: undefined,
+      team: undefined
+    }, scope))
+  },
+
+  /**
+   * Adds a middleware, which is called with `(config, next)` for every
+   * attempt of every request. `config` is what will be sent, including
+   * `method`, `url`, `headers` and `body`. `next(config)` sends it and
+   * resolves with the response (`statusCode`, `headers` and `body`), or
+   * rejects with a `NowError`. The middleware has to return what `next`
+   * returns, or a promise of something in its place.
+   * Middleware added first is called first.
+   * @return {Now}  This client, to chain calls
+   * @param  {Function} fn
+   */
+  use(fn) {
+    this.middleware.push(fn)
+    return this
+  },
+
+  /**
+   * Runs operations with at most `concurrency` of them pending at once.
+   * A failed operation doesn't stop the others, every one is reported.
+   * @return {Promise}
+   * @param  {Function[]} ops     Functions returning a promise, e.g. `() => now.deleteAlias(id)`
+   * @param  {Object} [options]
+   * @param  {Number} [options.concurrency]     Parallel operations, defaults to `5`
+   * @param  {AbortSignal} [options.signal]     Stops starting operations, running ones may still finish
+   * @param  {Function} [callback]     Callback will be called with `(err, { failed, results })`, where
+   * `results` holds `{ status: 'fulfilled', value }` or `{ status: 'rejected', error }` for every operation
+   */
+  batch(ops, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
+    if (!Array.isArray(ops)) {
+      return this.handleError(ERROR.MISSING_OPS, _callback)
+    }
+
+    return this.handlePromise(this.handleBatch(ops, _options, op => op()), _callback)
+  },
+
+  /**
+   * Calls `fn` for every item within a pool, settling every call.
+   * Shared by `batch` and the methods deleting several items at once.
+   * @return {Promise}  Resolves with `{ failed, results }`, results in the order of `items`
+   * @param  {Array} items
+   * @param  {Object} options     Options of `batch`
+   * @param  {Function} fn     Called with `(item, index)`
+   */
+  handleBatch(items, options, fn) {
+    const {signal} = options
+
+    return abortable(signal, () => mapLimit(items, options.concurrency || 5, (item, index) => {
+      // The remaining items needn't start once aborted
+      if (signal && signal.aborted) {
+        return {status: 'rejected', error: createAbortError(signal)}
+      }
+
+      return Promise.resolve().then(() => fn(item, index)).then(value => ({status: 'fulfilled', value}), error => {
+        return {status: 'rejected', error}
+      })
+    }).then(results => ({
+      failed: results.filter(result => result.status === 'rejected').length,
+      results
+    })))
+  },
+
+  /**
+   * Deletes several items by their ID with `batch`, adding the `id` to every result.
+   * @return {Promise}
+   * @param  {Array} ids
+   * @param  {Object} options     Options of `batch`
+   * @param  {Function} remove     Deletes one item, called with its ID
+   */
+  handleBatchDelete(ids, options, remove) {
+    return this.handleBatch(ids, options, remove).then(report => ({
+      failed: report.failed,
+      results: report.results.map((result, index) => Object.assign({id: ids[index]}, result))
+    }))
+  },
+
+  // Processes requests, `config.signal` aborts them
+  handleRequest(config, callback, selector) {
+    const {signal} = config
+    let pending
+
+    const send = outgoing => {
+      pending = this.request(Object.assign({}, outgoing, {resolveWithFullResponse: true}))
+      return pending
+    }
+
+    const request = outgoing => {
+      return abortable(signal, () => {
+        return this.recorder ? this.recorder.send(outgoing, send, this.scope) : send(outgoing)
+      }, () => pending && pending.abort()).catch(err => {
+        throw fromRequestError(err, outgoing)
+      })
+    }
+
+    // The cache comes last, so the middleware sees cached responses too
+    const handle = this.middleware.reduceRight((next, fn) => {
+      return outgoing => Promise.resolve().then(() => fn(outgoing, next))
+    }, this.cache ? outgoing => this.cache.fetch(outgoing, request) : request)
+
+    const outgoing = Object.assign({}, config, {
+      headers: Object.assign({Authorization: `Bearer ${this.token}`}, config.headers)
+    })
+
+    delete outgoing.signal
+
+    // Responses that don't match their schema aren't retried, the API won't change its mind
+    const promise = abortable(signal, () => {
+      return retry(() => handle(outgoing), this.retryPolicy, config.method, ms => delay(ms, signal))
+    }).then(res => {
+      if (this.strict && config.json !== false) {
+        validateResponse(config, res.body)
+      }
+
+      return selector ? res.body[selector] : res.body
+    }, err => {
+      throw fromRequestError(err, config)
+    })
+
+    return this.handlePromise(promise, callback)
+  },
+
   /**
    * Returns an array with all deployments.
    * @return {Promise}
+   * @param  {Object} [options]     List filters
+   * @param  {Number} [options.limit]     Maximum number of deployments
+   * @param  {Date|Number} [options.since]     Only deployments created after
+   * @param  {Date|Number} [options.until]     Only deployments created before
+   * @param  {AbortSignal} [options.signal]     Aborts the request
    * @param  {Function} [callback]     Callback will be called with `(err, deployments)`
    * @see https://zeit.co/api#list-endpoint
    */
-  getDeployments(callback) {
+  getDeployments(options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
     return this.handleRequest({
       url: '/now/deployments',
-      method: 'get'
-    }, callback, 'deployments')
+      method: 'get',
+      qs: getListQuery(_options),
+      signal: _options.signal
+    }, _callback, 'deployments')
+  },
+
+  /**
+   * Returns an async iterator over all deployments, following the
+   * pagination of the API.
+   * @return {Object}  Async iterator, usable with `for await` and `Now.collect`
+   * @param  {Object} [options]     Same filters as `getDeployments`,
+   * `limit` sets the page size
+   */
+  iterateDeployments(options) {
+    return paginate(qs => this.handleRequest({
+      url: '/now/deployments',
+      method: 'get',
+      qs,
+      signal: options && options.signal
+    }), 'deployments', getListQuery(options))
   },
 
   /**
    * Returns an object with deployment data.
    * @return {Promise}
    * @param  {String} id     ID of deployment
+   * @param  {Object} [options]
+   * @param  {AbortSignal} [options.signal]     Aborts the request
    * @param  {Function} [callback]     Callback will be called with `(err, deployment)`
    * @see https://zeit.co/api#get-endpoint
    */
-  getDeployment(id, callback) {
+  getDeployment(id, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
     if (!id) {
-      return this.handleError(ERROR.MISSING_ID, callback)
+      return this.handleError(ERROR.MISSING_ID, _callback)
     }
 
     return this.handleRequest({
       url: `/now/deployments/${id}`,
-      method: 'get'
-    }, callback)
+      method: 'get',
+      signal: _options.signal
+    }, _callback)
+  },
+
+  /**
+   * Polls a deployment until it is ready or failed, waiting longer between
+   * each check. Emits `deployment-state` with `(deployment, previousState)`
+   * whenever the state changes.
+   * @return {Promise}
+   * @param  {String} id     ID of deployment
+   * @param  {Object} [options]
+   * @param  {Number} [options.timeout=300000]     Milliseconds until giving up
+   * @param  {Number} [options.interval=1000]     Milliseconds before the second check
+   * @param  {Number} [options.maxInterval=10000]     Upper limit for the backoff
+   * @param  {AbortSignal} [options.signal]     Stops waiting
+   * @param  {Function} [callback]     Callback will be called with `(err, deployment)`
+   */
+  waitForDeployment(id, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
+    if (!id) {
+      return this.handleError(ERROR.MISSING_ID, _callback)
+    }
+
+    const timeout = _options.timeout || 300000
+    const maxInterval = _options.maxInterval || 10000
+    const deadline = Date.now() + timeout
+    let interval = _options.interval || 1000
+    let state
+
+    const poll = () => this.getDeployment(id, {signal: _options.signal}).then(deployment => {
+      if (deployment.state !== state) {
+        this.emit('deployment-state', deployment, state)
+        state = deployment.state
+      }
+
+      if (READY_STATES.indexOf(state) !== -1) {
+        return deployment
+      }
+
+      if (ERROR_STATES.indexOf(state) !== -1) {
+        throw new NowError(`Deployment ${id} failed with state ${state}`, {
+          code: CODES.DEPLOYMENT_FAILED,
+          deployment
+        })
+      }
+
+      const remaining = deadline - Date.now()
+
+      if (remaining <= 0) {
+        throw new NowError(`Deployment ${id} still in state ${state} after ${timeout}ms`, {
+          code: CODES.DEPLOYMENT_TIMEOUT,
+          deployment
+        })
+      }
+
+      // The last poll happens right at the deadline
+      return delay(Math.min(interval, remaining), _options.signal).then(() => {
+        interval = Math.min(interval * 1.5, maxInterval)
+        return poll()
+      })
+    })
+
+    return this.handlePromise(poll(), _callback)
   },
 
   /**
@@ -161,55 +502,424 @@ Now.prototype = {
    * @param  {Object} body
    * The keys should represent a file path, with their respective values
    * containing the file contents.
+   * @param  {Object} [options]
+   * @param  {Boolean} [options.hashed]
+   * Reference the files by their SHA1 hash and only upload the ones the
+   * API doesn't know yet, instead of sending all contents inline.
+   * @param  {Number} [options.concurrency=5]     Parallel uploads in hashed mode
+   * @param  {AbortSignal} [options.signal]     Aborts the request and the uploads
    * @param  {Function} [callback]     Callback will be called with `(err, deployment)`
    * @see https://zeit.co/api#instant-endpoint
    */
-  createDeployment(body, callback) {
+  createDeployment(body, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
     if (!body) {
-      return this.handleError(ERROR.MISSING_BODY, callback)
+      return this.handleError(ERROR.MISSING_BODY, _callback)
     }
 
-    return this.handleRequest({
+    if (!_options.hashed) {
+      return this.handleRequest({
+        url: '/now/deployments',
+        method: 'post',
+        body,
+        signal: _options.signal
+      }, _callback)
+    }
+
+    const manifest = createManifest(body)
+    const create = () => this.handleRequest({
       url: '/now/deployments',
       method: 'post',
-      body
-    }, callback)
+      body: manifest.body,
+      signal: _options.signal
+    })
+
+    // The API answers with the hashes it is missing, which get uploaded
+    // before trying again. Unchanged files are never sent twice.
+    const promise = create().catch(err => {
+      const apiError = err.body && (err.body.error || err.body.err)
+
+      if (err.code !== 'missing_files' || !apiError || !Array.isArray(apiError.missing)) {
+        throw err
+      }
+
+      return mapLimit(apiError.missing, _options.concurrency || 5, sha => {
+        return this.uploadFile(manifest.blobs[sha], {signal: _options.signal})
+      }).then(create)
+    })
+
+    return this.handlePromise(promise, _callback)
+  },
+
+  /**
+   * Uploads the contents of a single file, to be referenced by its SHA1
+   * hash when creating a deployment.
+   * @return {Promise}
+   * @param  {Buffer|String} data     File contents
+   * @param  {Object} [options]
+   * @param  {AbortSignal} [options.signal]     Aborts the request
+   * @param  {Function} [callback]     Callback will be called with `(err, { sha, size })`
+   */
+  uploadFile(data, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
+    if (data === undefined || data === null) {
+      return this.handleError(ERROR.MISSING_DATA, _callback)
+    }
+
+    const buffer = toBuffer(data)
+    const sha = sha1(buffer)
+
+    const promise = this.handleRequest({
+      url: '/now/files',
+      method: 'post',
+      signal: _options.signal,
+      json: false,
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'x-now-digest': sha,
+        'x-now-size': buffer.length
+      },
+      body: buffer
+    }).then(() => ({
+      sha,
+      size: buffer.length
+    }))
+
+    return this.handlePromise(promise, _callback)
+  },
+
+  /**
+   * Creates a new deployment from the contents of a local directory.
+   * Files are picked like `npm publish` does: a `files` whitelist in
+   * `package.json` wins, otherwise `.npmignore` or `.gitignore` apply.
+   * `package.json` is sent as the `package` key. Symlinks pointing outside
+   * of the directory are refused.
+   * @return {Promise}
+   * @param  {String} dir     Path of the directory
+   * @param  {Object} [options]
+   * @param  {Object} [options.package]     Used instead of `package.json`
+   * @param  {Boolean} [options.hashed]     Upload only files the API doesn't know yet,
+   * always the case if a file isn't UTF-8 text
+   * @param  {AbortSignal} [options.signal]     Aborts the request and the uploads
+   * @param  {Function} [callback]     Callback will be called with `(err, deployment)`,
+   * where `deployment.files` lists the paths that were included
+   */
+  deployDirectory(dir, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
+    if (typeof dir !== 'string') {
+      return this.handleError(ERROR.MISSING_DIR, _callback)
+    }
+
+    const promise = readDirectory(dir).then(({files, pkg}) => {
+      const body = {
+        package: _options.package || pkg
+      }
+
+      if (!body.package) {
+        throw createValidationError(ERROR.MISSING_PACKAGE)
+      }
+
+      // Inline contents are strings, binary files only stay intact as uploads
+      const hashed = Boolean(_options.hashed) || files.some(file => !isText(file.data))
+
+      files.forEach(file => {
+        if (file.path !== 'package.json') {
+          body[file.path] = hashed ? file.data : file.data.toString()
+        }
+      })
+
+      return this.createDeployment(body, Object.assign({}, _options, {hashed})).then(deployment => {
+        return Object.assign({}, deployment, {
+          files: files.map(file => file.path)
+        })
+      })
+    })
+
+    return this.handlePromise(promise, _callback)
   },
 
   /**
    * Deletes a deployment and returns its data.
    * @return {Promise}
    * @param  {String} id     ID of deployment
+   * @param  {Object} [options]
+   * @param  {AbortSignal} [options.signal]     Aborts the request
    * @param  {Function} [callback]     Callback will be called with `(err, deployment)`
    * @see https://zeit.co/api#rm-endpoint
    */
-  deleteDeployment(id, callback) {
+  deleteDeployment(id, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
     if (!id) {
-      return this.handleError(ERROR.MISSING_ID, callback)
+      return this.handleError(ERROR.MISSING_ID, _callback)
     }
 
     return this.handleRequest({
       url: `/now/deployments/${id}`,
-      method: 'delete'
-    }, callback)
+      method: 'delete',
+      signal: _options.signal
+    }, _callback)
+  },
+
+  /**
+   * Deletes several deployments, with at most `concurrency` requests pending at once.
+   * A failed deletion doesn't stop the others.
+   * @return {Promise}
+   * @param  {String[]} ids     IDs of deployments
+   * @param  {Object} [options]
+   * @param  {Number} [options.concurrency]     Parallel deletions, defaults to `5`
+   * @param  {AbortSignal} [options.signal]     Stops deleting, deletions already sent may still happen
+   * @param  {Function} [callback]     Callback will be called with `(err, { failed, results })`,
+   * where `results` holds `{ id, status, value, error }` for every ID, see `batch`
+   */
+  deleteDeployments(ids, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
+    if (!Array.isArray(ids)) {
+      return this.handleError(ERROR.MISSING_IDS, _callback)
+    }
+
+    const {signal} = _options
+    const promise = this.handleBatchDelete(ids, _options, id => this.deleteDeployment(id, {signal}))
+
+    return this.handlePromise(promise, _callback)
+  },
+
+  /**
+   * Deletes the deployments a retention policy doesn't keep. Deployments
+   * with an alias are always kept. Failed deletions don't stop the others.
+   * @return {Promise}
+   * @param  {Object} policy
+   * @param  {Number} [policy.keepLatest]     Keep the latest this many deployments of every name
+   * @param  {Number} [policy.olderThanDays]     Keep deployments younger than this many days
+   * @param  {Boolean} [policy.dryRun]     Only report what would be deleted
+   * @param  {Number} [policy.concurrency]     Parallel deletions, defaults to `5`
+   * @param  {AbortSignal} [policy.signal]     Stops pruning, deletions already sent may still happen
+   * @param  {Function} [callback]     Callback will be called with `(err, { dryRun, failed, results })`,
+   * where `results` holds `{ uid, name, url, created, action, reason, ok, error }` for every deployment
+   */
+  pruneDeployments(policy, callback) {
+    if (!policy || (policy.keepLatest === undefined && policy.olderThanDays === undefined)) {
+      return this.handleError(ERROR.MISSING_POLICY, callback)
+    }
+
+    const dryRun = Boolean(policy.dryRun)
+    const {signal} = policy
+
+    const work = () => Promise.all([
+      collect(this.iterateDeployments({signal})),
+      collect(this.iterateAliases({signal}))
+    ]).then(([deployments, aliases]) => {
+      const decisions = planRetention(deployments, aliases, policy)
+
+      return mapLimit(decisions, policy.concurrency || 5, ({deployment, action, reason}) => {
+        const result = {
+          uid: deployment.uid,
+          name: deployment.name,
+          url: deployment.url,
+          created: deployment.created,
+          action,
+          reason,
+          ok: true
+        }
+
+        if (action === 'keep' || dryRun) {
+          return result
+        }
+
+        return this.deleteDeployment(deployment.uid, {signal}).then(() => result, error => {
+          return Object.assign(result, {ok: false, error})
+        })
+      })
+    }).then(results => ({
+      dryRun,
+      failed: results.filter(result => !result.ok).length,
+      results
+    }))
+
+    return this.handlePromise(abortable(signal, work), callback)
   },
 
   /**
    * Returns an array with the file structure.
    * @return {Promise}
    * @param  {String} id     ID of deployment
+   * @param  {Object} [options]
+   * @param  {AbortSignal} [options.signal]     Aborts the request
    * @param  {Function} [callback]     Callback will be called with `(err, fileStructure)`
    * @see https://zeit.co/api#file-structure-endpoint
    */
-  getFiles(id, callback) {
+  getFiles(id, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
     if (!id) {
-      return this.handleError(ERROR.MISSING_ID, callback)
+      return this.handleError(ERROR.MISSING_ID, _callback)
     }
 
     return this.handleRequest({
       url: `/now/deployments/${id}/files`,
-      method: 'get'
-    }, callback)
+      method: 'get',
+      signal: _options.signal
+    }, _callback)
+  },
+
+  /**
+   * Returns a readable stream of the build and runtime logs of a deployment.
+   * The stream is in object mode and can be consumed with `for await`.
+   * Every log event has a `date` in addition to the fields of the API.
+   * When following, the logs are polled until the deployment is ready or
+   * failed. Polls failing with a transient error are retried, emitting
+   * `reconnect` with the error, other errors end the stream right away.
+   * No event is ever pushed twice.
+   * @return {stream.Readable}
+   * @param  {String} id     ID of deployment
+   * @param  {Object} [options]
+   * @param  {Boolean} [options.follow]     Keep streaming new logs
+   * @param  {Number} [options.interval=2000]     Milliseconds between polls when following
+   * @param  {Number} [options.maxReconnects=5]     Transiently failed polls in a row before emitting `error`
+   * @param  {AbortSignal} [options.signal]     Stops streaming, emitting `error` with an `AbortError`
+   */
+  getDeploymentLogs(id, options) {
+    const _options = options || {} /* eslint no-underscore-dangle: 0 */
+    const {signal} = _options
+    const interval = _options.interval || 2000
+    const maxReconnects = _options.maxReconnects === undefined ? 5 : _options.maxReconnects
+    const seen = {}
+    let since
+    let failures = 0
+    let stopped = false
+    let timer
+
+    const abort = () => stream.destroy(createAbortError(signal)) // eslint-disable-line no-use-before-define
+
+    const stream = new Readable({
+      objectMode: true,
+      read() {},
+      destroy(err, cb) {
+        stopped = true
+        clearTimeout(timer)
+
+        if (signal) {
+          signal.removeEventListener('abort', abort)
+        }
+
+        cb(err)
+      }
+    })
+
+    if (!id) {
+      process.nextTick(() => stream.destroy(createValidationError(ERROR.MISSING_ID)))
+      return stream
+    }
+
+    if (signal) {
+      signal.addEventListener('abort', abort)
+    }
+
+    const fetchLogs = () => this.handleRequest({
+      url: `/now/deployments/${id}/logs`,
+      method: 'get',
+      qs: since ? {since} : {},
+      signal
+    }).then(res => {
+      const events = Array.isArray(res) ? res : res.logs || []
+
+      events.forEach(event => {
+        const key = event.id || `${event.created}:${event.text}`
+
+        if (stopped || seen[key]) {
+          return
+        }
+
+        seen[key] = true
+
+        if (event.created > (since || 0)) {
+          since = event.created
+        }
+
+        stream.push(Object.assign({}, event, {
+          date: new Date(event.created)
+        }))
+      })
+    })
+
+    // Checking the state first makes sure the last fetch has every log
+    const isFinished = () => this.getDeployment(id, {signal}).then(deployment => {
+      return READY_STATES.concat(ERROR_STATES).indexOf(deployment.state) !== -1
+    })
+
+    const poll = () => {
+      const finished = _options.follow ? isFinished() : Promise.resolve(true)
+
+      finished.then(done => fetchLogs().then(() => done)).then(done => {
+        failures = 0
+
+        if (stopped) {
+          return
+        }
+
+        if (done) {
+          stream.push(null)
+          return
+        }
+
+        timer = setTimeout(poll, interval)
+      }, err => {
+        if (stopped) {
+          return
+        }
+
+        if (!_options.follow || err instanceof AbortError || !isTransient(err) || ++failures > maxReconnects) {
+          stream.destroy(err)
+          return
+        }
+
+        stream.emit('reconnect', err)
+        timer = setTimeout(poll, interval)
+      })
+    }
+
+    poll()
+    return stream
   },
 
   /**
@@ -217,34 +927,164 @@ Now.prototype = {
    * @return {Promise}
    * @param  {String} id     ID of deployment
    * @param  {String} fileId     ID of the file
+   * @param  {Object} [options]
+   * @param  {Boolean} [options.raw]     Resolve with a `Buffer` of the exact bytes instead
+   * @param  {AbortSignal} [options.signal]     Aborts the download
    * @param  {Function} [callback]     Callback will be called with `(err, fileContent)`
    * @see https://zeit.co/api#file--endpoint
    */
-  getFile(id, fileId, callback) {
+  getFile(id, fileId, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
     if (!id) {
-      return this.handleError(ERROR.MISSING_ID, callback)
+      return this.handleError(ERROR.MISSING_ID, _callback)
     }
 
     if (!fileId) {
-      return this.handleError(ERROR.MISSING_FILE_ID, callback)
+      return this.handleError(ERROR.MISSING_FILE_ID, _callback)
     }
 
-    return this.handleRequest({
+    const config = {
       url: `/now/deployments/${id}/files/${fileId}`,
-      method: 'get'
-    }, callback)
+      method: 'get',
+      signal: _options.signal
+    }
+
+    if (_options.raw) {
+      Object.assign(config, {
+        json: false,
+        encoding: null
+      })
+    }
+
+    return this.handleRequest(config, _callback)
+  },
+
+  /**
+   * Downloads every file of a deployment into a local directory, keeping
+   * the exact bytes. Existing files are overwritten.
+   * @return {Promise}
+   * @param  {String} id     ID of deployment
+   * @param  {String} dir     Directory to write the files to
+   * @param  {Object} [options]
+   * @param  {Number} [options.concurrency=5]     Parallel downloads
+   * @param  {AbortSignal} [options.signal]     Aborts the downloads, files already written are kept
+   * @param  {Function} [callback]     Callback will be called with `(err, manifest)`,
+   * where `manifest` is an array of `{ path, size, sha }` sorted by path
+   */
+  downloadDeployment(id, dir, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
+    if (!id) {
+      return this.handleError(ERROR.MISSING_ID, _callback)
+    }
+
+    if (typeof dir !== 'string') {
+      return this.handleError(ERROR.MISSING_DIR, _callback)
+    }
+
+    const {signal} = _options
+    const work = () => this.getFiles(id, {signal}).then(tree => {
+      const files = flattenTree(tree).sort((a, b) => a.path < b.path ? -1 : 1)
+
+      return mapLimit(files, _options.concurrency || 5, file => {
+        return this.getFile(id, file.uid, {raw: true, signal}).then(data => {
+          return writeFileDeep(path.join(dir, file.path), data).then(() => ({
+            path: file.path,
+            size: data.length,
+            sha: sha1(data)
+          }))
+        })
+      })
+    })
+
+    return this.handlePromise(abortable(signal, work), _callback)
+  },
+
+  /**
+   * Compares the files of two deployments, or of a deployment and a local directory.
+   * @return {Promise}
+   * @param  {String} idA     ID of the old deployment
+   * @param  {String|Object} idB     ID of the new deployment, or `{ dir }` to compare with a local directory
+   * @param  {Object} [options]
+   * @param  {Number} [options.concurrency]     Parallel downloads, defaults to `5`
+   * @param  {Number} [options.context]     Lines of context in the diffs, defaults to `3`
+   * @param  {AbortSignal} [options.signal]     Aborts the downloads
+   * @param  {Function} [callback]     Callback will be called with `(err, { added, removed, modified, diffs })`
+   */
+  diffDeployments(idA, idB, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
+    if (!idA || !idB) {
+      return this.handleError(ERROR.MISSING_ID, _callback)
+    }
+
+    if (typeof idB === 'object' && typeof idB.dir !== 'string') {
+      return this.handleError(ERROR.MISSING_DIR, _callback)
+    }
+
+    const concurrency = _options.concurrency || 5
+    const work = () => Promise.all([
+      _readSource(this, idA, concurrency, _options.signal),
+      _readSource(this, idB, concurrency, _options.signal)
+    ]).then(([from, to]) => diffFiles(from, to, _options))
+
+    return this.handlePromise(abortable(_options.signal, work), _callback)
   },
 
   /**
    * Returns an array with all domain names and related aliases.
    * @return {Promise}
+   * @param  {Object} [options]     List filters, see `getDeployments`
    * @param  {Function} [callback]     Callback will be called with `(err, domains)`
    */
-  getDomains(callback) {
+  getDomains(options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
     return this.handleRequest({
       url: '/domains',
-      method: 'get'
-    }, callback, 'domains')
+      method: 'get',
+      qs: getListQuery(_options),
+      signal: _options.signal
+    }, _callback, 'domains')
+  },
+
+  /**
+   * Returns an async iterator over all domains.
+   * @return {Object}  Async iterator, usable with `for await` and `Now.collect`
+   * @param  {Object} [options]     List filters, see `getDeployments`
+   */
+  iterateDomains(options) {
+    return paginate(qs => this.handleRequest({
+      url: '/domains',
+      method: 'get',
+      qs,
+      signal: options && options.signal
+    }), 'domains', getListQuery(options))
   },
 
   /**
@@ -254,145 +1094,462 @@ Now.prototype = {
    * If `isExternalDNS` is falsy then an external DNS server should point a
    * CNAME or an ALIAS  to alias.zeit.co; if `isExternalDNS` is truthy then
    * zeit.world should be configured as the DNS for the domain.
+   * @param  {Object} [options]
+   * @param  {AbortSignal} [options.signal]     Aborts the request
    * @param  {Function} [callback]     Callback will be called with `(err, domain)`
    */
-  addDomain(domain, callback) {
+  addDomain(domain, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
     if (typeof domain.name !== 'string') {
-      return this.handleError(ERROR.MISSING_NAME, callback)
+      return this.handleError(ERROR.MISSING_NAME, _callback)
     }
 
     return this.handleRequest({
       url: '/domains',
       method: 'post',
+      signal: _options.signal,
       body: {
         name: domain.name,
         isExternal: domain.isExternalDNS
       }
-    }, callback)
+    }, _callback)
   },
 
   /**
    * Deletes a domain name.
    * @return {Promise}
    * @param  {String} name             Domain name
-   * @param  {Function} [callback]     Callback will be called with `(err, deployment)`
+   * @param  {Object} [options]
+   * @param  {AbortSignal} [options.signal]     Aborts the request
+   * @param  {Function} [callback]     Callback will be called with `(err, domain)`
    * @see https://zeit.co/api#rm-endpoint
    */
-  deleteDomain(name, callback) {
+  deleteDomain(name, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
     if (typeof name !== 'string') {
-      return this.handleError(ERROR.MISSING_NAME, callback)
+      return this.handleError(ERROR.MISSING_NAME, _callback)
+    }
+
+    return this.handleRequest({
+      url: `/domains/${name}`,
+      method: 'delete',
+      signal: _options.signal
+    }, _callback)
+  },
+
+  /**
+   * Get DNS records configured for a domain name.
+   * @return {Promise}
+   * @param  {String} domain          Domain name
+   * @param  {Object} [options]
+   * @param  {AbortSignal} [options.signal]     Aborts the request
+   * @param  {Function} [callback]    Callback will be called with `(err, records)`
+   */
+  getDomainRecords(domain, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
+    return this.handleRequest({
+      url: `/domains/${domain}/records`,
+      method: 'get',
+      signal: _options.signal
+    }, _callback, 'records')
+  },
+
+  /**
+   * Add a DNS record for a domain name.
+   * @return {Promise}
+   * @param  {String} domain          Domain name
+   * @param  {Object} recordData      Record data
+   * @param  {Object} [options]
+   * @param  {AbortSignal} [options.signal]     Aborts the request
+   * @param  {Function} [callback]    Callback will be called with `(err, result)`
+   */
+  addDomainRecord(domain, recordData, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
+    return this.handleRequest({
+      url: `/domains/${domain}/records`,
+      method: 'post',
+      signal: _options.signal,
+      body: recordData
+    }, _callback)
+  },
+
+  /**
+   * Remove a DNS record associated with a domain.
+   * @return {Promise}
+   * @param {String} domain           Domain name
+   * @param {String} recordId         Record ID
+   * @param  {Object} [options]
+   * @param  {AbortSignal} [options.signal]     Aborts the request
+   * @param  {Function} [callback]    Callback will be called with `(err, result)`
+   */
+  deleteDomainRecord(domain, recordId, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
+    return this.handleRequest({
+      url: `/domains/${domain}/records/${recordId}`,
+      method: 'delete',
+      signal: _options.signal
+    }, _callback)
+  },
+
+  /**
+   * Renders the DNS records of a domain as BIND zone file.
+   * @return {Promise}
+   * @param  {String} domain          Domain name
+   * @param  {Object} [options]
+   * @param  {AbortSignal} [options.signal]     Aborts the request
+   * @param  {Function} [callback]    Callback will be called with `(err, zoneText)`
+   */
+  exportZone(domain, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
     }
 
-    return this.handleRequest({
-      url: `/domains/${name}`,
-      method: 'delete'
-    }, callback)
+    if (!domain) {
+      return this.handleError(ERROR.MISSING_DOMAIN, _callback)
+    }
+
+    const promise = this.getDomainRecords(domain, _options).then(records => formatZone(domain, records))
+
+    return this.handlePromise(promise, _callback)
   },
 
   /**
-   * Get DNS records configured for a domain name.
+   * Creates the records of a BIND zone file for a domain. A, AAAA, ALIAS,
+   * CNAME, MX, SRV and TXT records are created, others (e.g. SOA and NS)
+   * are skipped. Nothing is created if the zone file can't be parsed.
    * @return {Promise}
    * @param  {String} domain          Domain name
-   * @param  {Function} [callback]    Callback will be called with `(err, records)`
+   * @param  {String} zone            Content of the zone file
+   * @param  {Object} [options]
+   * @param  {Number} [options.concurrency]     Parallel requests, defaults to `5`
+   * @param  {AbortSignal} [options.signal]     Stops importing, records already created are kept
+   * @param  {Function} [callback]    Callback will be called with `(err, { created, skipped })`
    */
-  getDomainRecords(domain, callback) {
-    return this.handleRequest({
-      url: `/domains/${domain}/records`,
-      method: 'get'
-    }, callback, 'records')
+  importZone(domain, zone, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
+    if (!domain) {
+      return this.handleError(ERROR.MISSING_DOMAIN, _callback)
+    }
+
+    if (typeof zone !== 'string') {
+      return this.handleError(ERROR.MISSING_ZONE, _callback)
+    }
+
+    const promise = Promise.resolve().then(() => parseZone(zone, domain)).then(({records, skipped}) => {
+      return mapLimit(records, _options.concurrency || 5, record => {
+        return this.addDomainRecord(domain, record, {signal: _options.signal}).then(result => {
+          return Object.assign({uid: result.uid}, record)
+        })
+      }).then(created => ({created, skipped}))
+    })
+
+    return this.handlePromise(promise, _callback)
   },
 
   /**
-   * Add a DNS record for a domain name.
+   * Compares the DNS records of a domain with the desired ones and returns
+   * what has to change. Records of names and types that aren't declared
+   * are never deleted, unless `options.prune` is set.
    * @return {Promise}
    * @param  {String} domain          Domain name
-   * @param  {Object} recordData      Record data
-   * @param  {Function} [callback]    Callback will be called with `(err, result)`
+   * @param  {Array|String} desired     Records as taken by `addDomainRecord`, or a BIND zone file
+   * @param  {Object} [options]
+   * @param  {Boolean} [options.prune]     Also delete records of undeclared names and types
+   * @param  {AbortSignal} [options.signal]     Aborts the request
+   * @param  {Function} [callback]    Callback will be called with `(err, { domain, creates, deletes, unchanged })`
    */
-  addDomainRecord(domain, recordData, callback) {
-    return this.handleRequest({
-      url: `/domains/${domain}/records`,
-      method: 'post',
-      data: recordData
-    }, callback)
+  planDomainRecords(domain, desired, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
+    if (!domain) {
+      return this.handleError(ERROR.MISSING_DOMAIN, _callback)
+    }
+
+    if (!Array.isArray(desired) && typeof desired !== 'string') {
+      return this.handleError(ERROR.MISSING_RECORDS, _callback)
+    }
+
+    const promise = Promise.resolve().then(() => {
+      const records = typeof desired === 'string' ? parseZone(desired, domain).records : desired
+      return this.getDomainRecords(domain, {signal: _options.signal}).then(current => {
+        return Object.assign({domain}, planRecords(current, records, _options))
+      })
+    })
+
+    return this.handlePromise(promise, _callback)
   },
 
   /**
-   * Remove a DNS record associated with a domain.
+   * Executes a plan of `planDomainRecords`, creating records first. A failing
+   * record doesn't stop the others, the report tells which ones failed.
+   * Rejects with a `ValidationError` if the plan was made for another domain.
    * @return {Promise}
-   * @param {String} domain           Domain name
-   * @param {String} recordId         Record ID
-   * @param  {Function} [callback]    Callback will be called with `(err, result)`
+   * @param  {String} domain          Domain name
+   * @param  {Object} plan            As returned by `planDomainRecords` for the same domain
+   * @param  {Object} [options]
+   * @param  {Boolean} [options.dryRun]     Only report what would be done
+   * @param  {Number} [options.concurrency]     Parallel requests, defaults to `5`
+   * @param  {AbortSignal} [options.signal]     Stops applying, changes already sent may still happen
+   * @param  {Function} [callback]    Callback will be called with `(err, { dryRun, failed, results })`,
+   * where `results` holds `{ action, record, ok, error }` for every record
    */
-  deleteDomainRecord(domain, recordId, callback) {
-    return this.handleRequest({
-      url: `/domains/${domain}/records/${recordId}`,
-      method: 'delete'
-    }, callback)
+  applyDomainRecords(domain, plan, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
+    if (!domain) {
+      return this.handleError(ERROR.MISSING_DOMAIN, _callback)
+    }
+
+    if (!plan || typeof plan !== 'object') {
+      return this.handleError(ERROR.MISSING_PLAN, _callback)
+    }
+
+    // The IDs in `deletes` only mean something for the domain they were listed for
+    if (String(plan.domain).toLowerCase() !== domain.toLowerCase()) {
+      return this.handleError(ERROR.PLAN_DOMAIN_MISMATCH, _callback)
+    }
+
+    const dryRun = Boolean(_options.dryRun)
+    const concurrency = _options.concurrency || 5
+    const {signal} = _options
+
+    const run = (action, records, fn) => mapLimit(records || [], concurrency, record => {
+      if (dryRun) {
+        return {action, record, ok: true}
+      }
+
+      return fn(record).then(() => ({action, record, ok: true}), error => ({action, record, ok: false, error}))
+    })
+
+    // Creating first, an interruption leaves extra records rather than missing ones
+    const work = () => run('create', plan.creates, record => this.addDomainRecord(domain, record, {signal})).then(created => {
+      return run('delete', plan.deletes, record => this.deleteDomainRecord(domain, record.id, {signal})).then(deleted => {
+        const results = created.concat(deleted)
+        return {dryRun, failed: results.filter(result => !result.ok).length, results}
+      })
+    })
+
+    return this.handlePromise(abortable(signal, work), _callback)
   },
 
   /**
    * Returns an array of all certificates.
    * @return {Promise}
-   * @param  {String|Function} [cn OR callback]     Common name or callback
+   * @param  {String|Object|Function} [cn OR options OR callback]     Common name, list filters or callback
+   * @param  {Object|Function} [options OR callback]     List filters, see `getDeployments`, or callback
    * @param  {Function} [callback]     Callback will be called with `(err, certificates)`
    * @see https://zeit.co/api#user-aliases
    */
-  getCertificates(cn, callback) {
+  getCertificates(cn, options, callback) {
+    const args = [cn, options, callback]
+    const _callback = args.find(arg => typeof arg === 'function') /* eslint no-underscore-dangle: 0 */
+    const _options = args.find(arg => arg && typeof arg === 'object') || {} /* eslint no-underscore-dangle: 0 */
     let url = '/now/certs'
-    let _callback = callback /* eslint no-underscore-dangle: 0 */
 
-    if (typeof cn === 'function') {
-      _callback = cn
-    } else if (typeof cn === 'string') {
+    if (typeof cn === 'string') {
       url = `/now/certs/${cn}`
     }
 
     return this.handleRequest({
       url,
-      method: 'get'
+      method: 'get',
+      qs: getListQuery(_options),
+      signal: _options.signal
     }, _callback, 'certs')
   },
 
+  /**
+   * Returns an async iterator over all certificates.
+   * @return {Object}  Async iterator, usable with `for await` and `Now.collect`
+   * @param  {Object} [options]     List filters, see `getDeployments`
+   */
+  iterateCertificates(options) {
+    return paginate(qs => this.handleRequest({
+      url: '/now/certs',
+      method: 'get',
+      qs,
+      signal: options && options.signal
+    }), 'certs', getListQuery(options))
+  },
+
   /**
    * Creates a new certificate for a domain registered to the user.
    * @return {Promise}
    * @param  {String} cn Common name
+   * @param  {Object} [options]
+   * @param  {AbortSignal} [options.signal]     Aborts the request
    * @param  {Function} [callback]     Callback will be called with `(err)`
    */
-  createCertificate(cn, callback) {
+  createCertificate(cn, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
     if (typeof cn !== 'string') {
-      return this.handleError(ERROR.MISSING_CN, cn)
+      return this.handleError(ERROR.MISSING_CN, _callback)
     }
 
     return this.handleRequest({
       url: '/now/certs',
       method: 'post',
+      signal: _options.signal,
       body: {
         domains: [cn]
       }
-    }, callback)
+    }, _callback)
   },
 
   /**
    * Renews an existing certificate.
    * @return {Promise}
    * @param  {String} cn               Common name
+   * @param  {Object} [options]
+   * @param  {AbortSignal} [options.signal]     Aborts the request
    * @param  {Function} [callback]     Callback will be called with `(err)`
    */
-  renewCertificate(cn, callback) {
+  renewCertificate(cn, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
     if (typeof cn !== 'string') {
-      return this.handleError(ERROR.MISSING_CN, cn)
+      return this.handleError(ERROR.MISSING_CN, _callback)
     }
 
     return this.handleRequest({
       url: '/now/certs',
       method: 'post',
+      signal: _options.signal,
       body: {
         domains: [cn],
         renew: true
       }
-    }, callback)
+    }, _callback)
+  },
+
+  /**
+   * Lists all certificates with their expiry and renews the ones that
+   * expire within the window. A failed renewal doesn't stop the others.
+   * @return {Promise}
+   * @param  {Object} [options]
+   * @param  {Number} [options.renewWithinDays=30]     Renew certificates expiring within this many days
+   * @param  {Number} [options.concurrency]     Parallel renewals, defaults to `5`
+   * @param  {AbortSignal} [options.signal]     Stops checking, renewals already sent may still happen
+   * @param  {Function} [callback]     Callback will be called with `(err, { date, renewed, failed, healthy })`,
+   * where every entry is `{ cn, uid, expiration, daysLeft }`, failed ones with `error`
+   */
+  checkCertificates(options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
+    const date = new Date()
+    const withinDays = _options.renewWithinDays === undefined ? 30 : _options.renewWithinDays
+    const {signal} = _options
+
+    const work = () => collect(this.iterateCertificates({signal})).then(certs => {
+      const entries = certs.map(cert => ({
+        cn: cert.cn,
+        uid: cert.uid,
+        expiration: new Date(cert.expiration),
+        daysLeft: Math.floor((new Date(cert.expiration) - date) / 86400000)
+      }))
+      const expiring = entries.filter(entry => entry.daysLeft < withinDays)
+
+      return mapLimit(expiring, _options.concurrency || 5, entry => {
+        return this.renewCertificate(entry.cn, {signal}).then(() => entry, error => Object.assign({error}, entry))
+      }).then(results => ({
+        date,
+        renewed: results.filter(entry => !entry.error),
+        failed: results.filter(entry => entry.error),
+        healthy: entries.filter(entry => expiring.indexOf(entry) === -1)
+      }))
+    })
+
+    return this.handlePromise(abortable(signal, work), _callback)
+  },
+
+  /**
+   * Checks the certificates right away and then periodically, renewing
+   * the expiring ones. The returned monitor emits `report`, `expiring`,
+   * `renewed`, `failed` and `error` and is stopped with `monitor.stop()`.
+   * @return {EventEmitter}
+   * @param  {Object} [options]     Options of `checkCertificates`
+   * @param  {Number} [options.interval=86400000]     Milliseconds between checks
+   * @param  {AbortSignal} [options.signal]     Stops the monitor, aborting a running check
+   */
+  monitorCertificates(options) {
+    return new CertificateMonitor(this, options)
   },
 
   /**
@@ -401,25 +1558,30 @@ Now.prototype = {
    * @param  {String} cn               Common name
    * @param  {String} cert             X.509 certificate
    * @param  {String} key              Private key for the certificate
-   * @param  {String} [ca]             CA certificate chain
+   * @param  {String|Object} [ca OR options]     CA certificate chain, or options
+   * @param  {String} [options.ca]     CA certificate chain
+   * @param  {AbortSignal} [options.signal]     Aborts the request
    * @param  {Function} [callback]     Callback will be called with `(err, createdDate)`
    */
   replaceCertificate(cn, cert, key, ca, callback) {
-    let _ca = '' /* eslint no-underscore-dangle: 0 */
+    let _options = {} /* eslint no-underscore-dangle: 0 */
     let _callback = callback /* eslint no-underscore-dangle: 0 */
 
     if (typeof ca === 'function') {
       _callback = ca
     } else if (typeof ca === 'string') {
-      _ca = ca
+      _options = {ca}
+    } else if (ca) {
+      _options = ca
     }
 
     return this.handleRequest({
       url: '/now/certs',
       method: 'put',
+      signal: _options.signal,
       body: {
         domains: [cn],
-        ca: _ca,
+        ca: _options.ca || '',
         cert,
         key
       }
@@ -430,98 +1592,357 @@ Now.prototype = {
    * Deletes a certificate.
    * @return {Promise}
    * @param  {String} cn               Common name
+   * @param  {Object} [options]
+   * @param  {AbortSignal} [options.signal]     Aborts the request
    * @param  {Function} [callback]     Callback will be called with `(err, {})`
    */
-  deleteCertificate(cn, callback) {
+  deleteCertificate(cn, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
     if (typeof cn !== 'string') {
-      return this.handleError(ERROR.MISSING_CN, cn)
+      return this.handleError(ERROR.MISSING_CN, _callback)
     }
 
     return this.handleRequest({
       url: `/now/certs/${cn}`,
-      method: 'delete'
-    }, callback)
+      method: 'delete',
+      signal: _options.signal
+    }, _callback)
   },
 
   /**
    * Returns an array with all aliases.
    * @return {Promise}
-   * @param  {String|Function} [id OR callback]     ID of deployment or callback
+   * @param  {String|Object|Function} [id OR options OR callback]     ID of deployment, list filters or callback
+   * @param  {Object|Function} [options OR callback]     List filters, see `getDeployments`, or callback
    * @param  {Function} [callback]     Callback will be called with `(err, aliases)`
    * @see https://zeit.co/api#user-aliases
    */
-  getAliases(id, callback) {
+  getAliases(id, options, callback) {
+    const args = [id, options, callback]
+    const _callback = args.find(arg => typeof arg === 'function') /* eslint no-underscore-dangle: 0 */
+    const _options = args.find(arg => arg && typeof arg === 'object') || {} /* eslint no-underscore-dangle: 0 */
     let url = '/now/aliases'
-    let _callback = callback /* eslint no-underscore-dangle: 0 */
 
-    if (typeof id === 'function') {
-      _callback = id
-    } else if (typeof id === 'string') {
+    if (typeof id === 'string') {
       url = `/now/deployments/${id}/aliases`
     }
 
     return this.handleRequest({
       url,
-      method: 'get'
+      method: 'get',
+      qs: getListQuery(_options),
+      signal: _options.signal
     }, _callback, 'aliases')
   },
 
+  /**
+   * Returns an async iterator over all aliases.
+   * @return {Object}  Async iterator, usable with `for await` and `Now.collect`
+   * @param  {String|Object} [id OR options]     ID of deployment or list filters
+   * @param  {Object} [options]     List filters, see `getDeployments`
+   */
+  iterateAliases(id, options) {
+    const url = typeof id === 'string' ? `/now/deployments/${id}/aliases` : '/now/aliases'
+    const _options = (typeof id === 'string' ? options : id) || {} /* eslint no-underscore-dangle: 0 */
+
+    return paginate(qs => this.handleRequest({
+      url,
+      method: 'get',
+      qs,
+      signal: _options.signal
+    }), 'aliases', getListQuery(_options))
+  },
+
   /**
    * Creates an alias for the given deployment.
    * @return {Promise}
    * @param  {String} id     ID of deployment
    * @param  {String} alias     Hostname or custom url for the alias
+   * @param  {Object} [options]
+   * @param  {AbortSignal} [options.signal]     Aborts the request
    * @param  {Function} [callback]     Callback will be called with `(err, data)`
    * @see https://zeit.co/api#create-alias
    */
-  createAlias(id, alias, callback) {
+  createAlias(id, alias, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
     if (!id) {
-      return this.handleError(ERROR.MISSING_ID, callback)
+      return this.handleError(ERROR.MISSING_ID, _callback)
     }
 
     if (!alias) {
-      return this.handleError(ERROR.MISSING_ALIAS, callback)
+      return this.handleError(ERROR.MISSING_ALIAS, _callback)
     }
 
     return this.handleRequest({
       url: `/now/deployments/${id}/aliases`,
       method: 'post',
+      signal: _options.signal,
       body: {
         alias
       }
-    }, callback)
+    }, _callback)
+  },
+
+  /**
+   * Resolves with a deployment if it is ready. Waits for it with `options.wait`,
+   * rejects with code `deployment_not_ready` otherwise.
+   * @return {Promise}
+   * @param  {String} id     ID of deployment
+   * @param  {Object} options     Options of `promote` or `rollback`
+   */
+  handleReadyDeployment(id, options) {
+    if (options.wait) {
+      return this.waitForDeployment(id, options)
+    }
+
+    return this.getDeployment(id, {signal: options.signal}).then(deployment => {
+      if (READY_STATES.indexOf(deployment.state) === -1) {
+        throw new NowError(`Deployment ${id} is not ready, its state is ${deployment.state}`, {
+          code: CODES.DEPLOYMENT_NOT_READY,
+          deployment
+        })
+      }
+
+      return deployment
+    })
+  },
+
+  /**
+   * Points an alias at a deployment and records the change in the alias history.
+   * Shared by `promote` and `rollback`.
+   * @return {Promise}  Resolves with the recorded entry
+   * @param  {String} action     `promote` or `rollback`
+   * @param  {String} id     ID of deployment
+   * @param  {String} alias
+   * @param  {Object} options
+   */
+  handleAliasChange(action, id, alias, options) {
+    const store = this.aliasHistory
+    const {signal} = options
+    let entries
+
+    return Promise.resolve(store.get(alias)).then(result => {
+      entries = result || []
+      return this.handleReadyDeployment(id, options)
+    }).then(() => collect(this.iterateAliases({signal}))).then(aliases => {
+      const current = aliases.find(item => item.alias === alias)
+      const entry = {
+        action,
+        alias,
+        deploymentId: id,
+        previousDeploymentId: current ? current.deploymentId : null,
+        date: Date.now()
+      }
+
+      // Once the alias is changed, the history is recorded even if aborted
+      return this.createAlias(id, alias, {signal}).then(() => store.set(alias, entries.concat(entry))).then(() => entry)
+    })
+  },
+
+  /**
+   * Points an alias at a deployment once it is ready, recording the
+   * deployment it pointed to before, so it can be rolled back.
+   * @return {Promise}
+   * @param  {String} id     ID of deployment
+   * @param  {String} alias     Hostname or alias
+   * @param  {Object} [options]
+   * @param  {Boolean} [options.wait]     Wait for the deployment to be ready instead of rejecting, takes the options of `waitForDeployment`
+   * @param  {AbortSignal} [options.signal]     Aborts the requests and the wait
+   * @param  {Function} [callback]     Callback will be called with `(err, { action, alias, deploymentId, previousDeploymentId, date })`
+   */
+  promote(id, alias, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
+    if (!id) {
+      return this.handleError(ERROR.MISSING_ID, _callback)
+    }
+
+    if (!alias) {
+      return this.handleError(ERROR.MISSING_ALIAS, _callback)
+    }
+
+    return this.handlePromise(this.handleAliasChange('promote', id, alias, _options), _callback)
+  },
+
+  /**
+   * Points an alias back at the deployment it pointed to before the last
+   * `promote`. Repeated rollbacks walk further back through the history.
+   * @return {Promise}
+   * @param  {String} alias     Hostname or alias
+   * @param  {Object} [options]     See `promote`
+   * @param  {Function} [callback]     Callback will be called with `(err, entry)`, see `promote`
+   */
+  rollback(alias, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
+    if (!alias) {
+      return this.handleError(ERROR.MISSING_ALIAS, _callback)
+    }
+
+    const promise = Promise.resolve(this.aliasHistory.get(alias)).then(entries => {
+      const targets = getTargets(entries || [])
+
+      if (targets.length < 2) {
+        throw new NowError(`No previous deployment of ${alias} to roll back to`, {
+          code: CODES.NO_ROLLBACK_TARGET
+        })
+      }
+
+      return this.handleAliasChange('rollback', targets[targets.length - 2], alias, _options)
+    })
+
+    return this.handlePromise(promise, _callback)
+  },
+
+  /**
+   * Returns the recorded changes of an alias, newest first.
+   * @return {Promise}
+   * @param  {String} alias     Hostname or alias
+   * @param  {Object} [options]
+   * @param  {AbortSignal} [options.signal]     Aborts reading the history
+   * @param  {Function} [callback]     Callback will be called with `(err, entries)`
+   */
+  getAliasHistory(alias, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
+    if (!alias) {
+      return this.handleError(ERROR.MISSING_ALIAS, _callback)
+    }
+
+    const promise = abortable(_options.signal, () => this.aliasHistory.get(alias)).then(entries => {
+      return (entries || []).slice().reverse()
+    })
+
+    return this.handlePromise(promise, _callback)
   },
 
   /**
    * Deletes an alias and returns a status.
    * @return {Promise}
    * @param  {String} id     ID of alias
+   * @param  {Object} [options]
+   * @param  {AbortSignal} [options.signal]     Aborts the request
    * @param  {Function} [callback]     Callback will be called with `(err, status)`
    * @see https://zeit.co/api#delete-user-aliases
    */
-  deleteAlias(id, callback) {
+  deleteAlias(id, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
     if (!id) {
-      return this.handleError(ERROR.MISSING_ID, callback)
+      return this.handleError(ERROR.MISSING_ID, _callback)
     }
 
     return this.handleRequest({
       url: `/now/aliases/${id}`,
-      method: 'delete'
-    }, callback)
+      method: 'delete',
+      signal: _options.signal
+    }, _callback)
+  },
+
+  /**
+   * Deletes several aliases, with at most `concurrency` requests pending at once.
+   * A failed deletion doesn't stop the others.
+   * @return {Promise}
+   * @param  {String[]} ids     IDs of aliases
+   * @param  {Object} [options]
+   * @param  {Number} [options.concurrency]     Parallel deletions, defaults to `5`
+   * @param  {AbortSignal} [options.signal]     Stops deleting, deletions already sent may still happen
+   * @param  {Function} [callback]     Callback will be called with `(err, { failed, results })`,
+   * where `results` holds `{ id, status, value, error }` for every ID, see `batch`
+   */
+  deleteAliases(ids, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
+    if (!Array.isArray(ids)) {
+      return this.handleError(ERROR.MISSING_IDS, _callback)
+    }
+
+    const {signal} = _options
+    const promise = this.handleBatchDelete(ids, _options, id => this.deleteAlias(id, {signal}))
+
+    return this.handlePromise(promise, _callback)
   },
 
   /**
    * Returns an array with all secrets.
    * @return {Promise}
-   * @param  {String|Function} [id OR callback]     ID of deployment or callback
+   * @param  {Object} [options]     List filters, see `getDeployments`
    * @param  {Function} [callback]     Callback will be called with `(err, secrets)`
    * @see https://zeit.co/api#get-now-secrets
    */
-  getSecrets(callback) {
+  getSecrets(options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
     return this.handleRequest({
       url: '/now/secrets',
-      method: 'get'
-    }, callback, 'secrets')
+      method: 'get',
+      qs: getListQuery(_options),
+      signal: _options.signal
+    }, _callback, 'secrets')
+  },
+
+  /**
+   * Returns an async iterator over all secrets.
+   * @return {Object}  Async iterator, usable with `for await` and `Now.collect`
+   * @param  {Object} [options]     List filters, see `getDeployments`
+   */
+  iterateSecrets(options) {
+    return paginate(qs => this.handleRequest({
+      url: '/now/secrets',
+      method: 'get',
+      qs,
+      signal: options && options.signal
+    }), 'secrets', getListQuery(options))
   },
 
   /**
@@ -529,26 +1950,37 @@ Now.prototype = {
    * @return {Promise}
    * @param  {String} name     name for the secret
    * @param  {String} value     value for the secret
+   * @param  {Object} [options]
+   * @param  {AbortSignal} [options.signal]     Aborts the request
    * @param  {Function} [callback]     Callback will be called with `(err, data)`
    * @see https://zeit.co/api#post-now-secrets
    */
-  createSecret(name, value, callback) {
+  createSecret(name, value, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
     if (!name) {
-      return this.handleError(ERROR.MISSING_NAME, callback)
+      return this.handleError(ERROR.MISSING_NAME, _callback)
     }
 
     if (!value) {
-      return this.handleError(ERROR.MISSING_VALUE, callback)
+      return this.handleError(ERROR.MISSING_VALUE, _callback)
     }
 
     return this.handleRequest({
       url: '/now/secrets',
       method: 'post',
+      signal: _options.signal,
       body: {
         name,
         value
       }
-    }, callback)
+    }, _callback)
   },
 
   /**
@@ -556,44 +1988,221 @@ Now.prototype = {
    * @return {Promise}
    * @param  {String} id     id or name of the secret
    * @param  {String} name     new name for the secret
+   * @param  {Object} [options]
+   * @param  {AbortSignal} [options.signal]     Aborts the request
    * @param  {Function} [callback]     Callback will be called with `(err, data)`
    * @see https://zeit.co/api#patch-now-secrets
    */
-  renameSecret(id, name, callback) {
+  renameSecret(id, name, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
     if (!id) {
-      return this.handleError(ERROR.MISSING_ID, callback)
+      return this.handleError(ERROR.MISSING_ID, _callback)
     }
 
     if (!name) {
-      return this.handleError(ERROR.MISSING_NAME, callback)
+      return this.handleError(ERROR.MISSING_NAME, _callback)
     }
 
     return this.handleRequest({
       url: `/now/secrets/${id}`,
       method: 'patch',
+      signal: _options.signal,
       body: {
         name
       }
-    }, callback)
+    }, _callback)
   },
 
   /**
    * Deletes a secret and returns its ID.
    * @return {Promise}
    * @param  {String} id     ID or name of the secret
+   * @param  {Object} [options]
+   * @param  {AbortSignal} [options.signal]     Aborts the request
    * @param  {Function} [callback]     Callback will be called with `(err, status)`
    * @see https://zeit.co/api#delete-now-secrets
    */
-  deleteSecret(id, callback) {
+  deleteSecret(id, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
     if (!id) {
-      return this.handleError(ERROR.MISSING_ID, callback)
+      return this.handleError(ERROR.MISSING_ID, _callback)
     }
 
     return this.handleRequest({
       url: `/now/secrets/${id}`,
-      method: 'delete'
-    }, callback)
+      method: 'delete',
+      signal: _options.signal
+    }, _callback)
+  },
+
+  /**
+   * Deletes several secrets, with at most `concurrency` requests pending at once.
+   * A failed deletion doesn't stop the others.
+   * @return {Promise}
+   * @param  {String[]} ids     IDs of secrets
+   * @param  {Object} [options]
+   * @param  {Number} [options.concurrency]     Parallel deletions, defaults to `5`
+   * @param  {AbortSignal} [options.signal]     Stops deleting, deletions already sent may still happen
+   * @param  {Function} [callback]     Callback will be called with `(err, { failed, results })`,
+   * where `results` holds `{ id, status, value, error }` for every ID, see `batch`
+   */
+  deleteSecrets(ids, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
+    if (!Array.isArray(ids)) {
+      return this.handleError(ERROR.MISSING_IDS, _callback)
+    }
+
+    const {signal} = _options
+    const promise = this.handleBatchDelete(ids, _options, id => this.deleteSecret(id, {signal}))
+
+    return this.handlePromise(promise, _callback)
+  },
+
+  /**
+   * Makes the secrets match the values of a `.env` file or an object.
+   * Since the API never returns values, secrets that already exist are
+   * replaced by deleting and creating them again, unless `overwrite` is
+   * `false`. Every value is checked before anything is changed. The
+   * report only ever contains names, never values.
+   * @return {Promise}
+   * @param  {String|Object} source     Path of a `.env` file, or values by key
+   * @param  {Object} [options]
+   * @param  {String} [options.prefix]     Prepended to every key to get the name of the secret
+   * @param  {Boolean} [options.prune]     Delete secrets starting with `prefix` that aren't in `source`
+   * @param  {Boolean} [options.overwrite=true]     Replace secrets that already exist, `false` skips them
+   * @param  {Boolean} [options.dryRun]     Only report what would be done
+   * @param  {Number} [options.concurrency]     Parallel requests, defaults to `5`
+   * @param  {AbortSignal} [options.signal]     Stops syncing, changes already sent may still happen
+   * @param  {Function} [callback]     Callback will be called with `(err, { dryRun, created, replaced, skipped, deleted, failed })`,
+   * where a failed replacement whose value is left under a temporary name has `temporary`
+   */
+  syncSecrets(source, options, callback) {
+    let _options = options || {} /* eslint no-underscore-dangle: 0 */
+    let _callback = callback /* eslint no-underscore-dangle: 0 */
+
+    if (typeof options === 'function') {
+      _options = {}
+      _callback = options
+    }
+
+    if (!source || (typeof source !== 'string' && typeof source !== 'object')) {
+      return this.handleError(ERROR.MISSING_SOURCE, _callback)
+    }
+
+    const prefix = _options.prefix || ''
+
+    // Without prefix, pruning would delete every other secret
+    if (_options.prune && !prefix) {
+      return this.handleError(ERROR.MISSING_PREFIX, _callback)
+    }
+
+    const dryRun = Boolean(_options.dryRun)
+    const {signal} = _options
+    const overwrite = _options.overwrite !== false
+    const report = {dryRun, created: [], replaced: [], skipped: [], deleted: [], failed: []}
+
+    // A value the API refuses would only be noticed after deleting the secret it replaces
+    const values = () => (typeof source === 'string' ? readEnv(source) : Promise.resolve(source)).then(env => {
+      const invalid = Object.keys(env).find(key => typeof env[key] !== 'string' || env[key] === '')
+
+      if (invalid) {
+        throw new ValidationError(`The value of \`${invalid}\` has to be a non-empty string`, {
+          code: CODES.MISSING_VALUE
+        })
+      }
+
+      return env
+    })
+
+    const work = () => values().then(env => collect(this.iterateSecrets({signal})).then(secrets => {
+      const existing = secrets.map(secret => secret.name)
+      const wanted = Object.keys(env).map(key => prefix + key)
+
+      const actions = Object.keys(env).map(key => {
+        const name = prefix + key
+        const value = env[key]
+
+        if (existing.indexOf(name) === -1) {
+          return {name, list: 'created', run: () => this.createSecret(name, value, {signal})}
+        }
+
+        if (!overwrite) {
+          return {name, list: 'skipped', run: () => Promise.resolve()}
+        }
+
+        // The new value goes in under a temporary name first, so the old
+        // one is only deleted once its replacement exists
+        const temporary = `${name}-${sha1(`${name}${Date.now()}${Math.random()}`).slice(0, 8)}`
+        const replace = () => this.createSecret(temporary, value, {signal}).then(() => {
+          return this.deleteSecret(name, {signal}).catch(err => {
+            // Without the signal, an abort shouldn't leave the copy behind
+            return this.deleteSecret(temporary).then(() => Promise.reject(err), () => Promise.reject(err))
+          })
+        }).then(() => this.renameSecret(temporary, name, {signal}).catch(err => {
+          throw Object.assign(err, {temporary})
+        }))
+
+        return {name, list: 'replaced', run: replace}
+      }).concat(_options.prune ? existing.filter(name => {
+        return name.indexOf(prefix) === 0 && wanted.indexOf(name) === -1
+      }).map(name => {
+        return {name, list: 'deleted', run: () => this.deleteSecret(name, {signal})}
+      }) : [])
+
+      return mapLimit(actions, _options.concurrency || 5, action => {
+        return (dryRun ? Promise.resolve() : action.run()).then(() => {
+          report[action.list].push(action.name)
+        }, err => {
+          // Only code and message, errors may carry the request including the value
+          const entry = {name: action.name, action: action.list, code: err.code, message: err.message}
+          report.failed.push(err.temporary ? Object.assign(entry, {temporary: err.temporary}) : entry)
+        })
+      })
+    })).then(() => {
+      ['created', 'replaced', 'skipped', 'deleted'].forEach(list => report[list].sort())
+      return report
+    })
+
+    return this.handlePromise(abortable(signal, work), _callback)
   }
-}
+})
+
+Object.assign(Now, {
+  collect,
+  FileStore,
+  MemoryStore,
+  LRUStore,
+  MockServer,
+  ERROR_CODES: CODES,
+  NowError,
+  ValidationError,
+  AuthError,
+  NotFoundError,
+  RateLimitError,
+  NetworkError,
+  ServerError,
+  AbortError
+})
 
 module.exports = Now
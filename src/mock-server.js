@@ -0,0 +1,768 @@
+const http = require('http')
+const crypto = require('crypto')
+const {parse} = require('url')
+
+// States a deployment walks through, one step per time it's fetched
+const DEPLOYMENT_STATES = ['INITIALIZING', 'BUILDING', 'READY']
+
+// Certificates issued by the fake are valid for 90 days
+const CERT_LIFETIME = 90 * 24 * 60 * 60 * 1000
+
+const ROUTES = [
+  ['get', /^\/now\/deployments$/, 'listDeployments'],
+  ['post', /^\/now\/deployments$/, 'createDeployment'],
+  ['get', /^\/now\/deployments\/([^/]+)$/, 'getDeployment'],
+  ['delete', /^\/now\/deployments\/([^/]+)$/, 'deleteDeployment'],
+  ['get', /^\/now\/deployments\/([^/]+)\/logs$/, 'getLogs'],
+  ['get', /^\/now\/deployments\/([^/]+)\/files$/, 'getFiles'],
+  ['get', /^\/now\/deployments\/([^/]+)\/files\/([^/]+)$/, 'getFile'],
+  ['get', /^\/now\/deployments\/([^/]+)\/aliases$/, 'listDeploymentAliases'],
+  ['post', /^\/now\/deployments\/([^/]+)\/aliases$/, 'createAlias'],
+  ['post', /^\/now\/files$/, 'uploadFile'],
+  ['get', /^\/now\/aliases$/, 'listAliases'],
+  ['delete', /^\/now\/aliases\/([^/]+)$/, 'deleteAlias'],
+  ['get', /^\/now\/certs$/, 'listCerts'],
+  ['get', /^\/now\/certs\/([^/]+)$/, 'getCert'],
+  ['post', /^\/now\/certs$/, 'createCert'],
+  ['put', /^\/now\/certs$/, 'replaceCert'],
+  ['delete', /^\/now\/certs\/([^/]+)$/, 'deleteCert'],
+  ['get', /^\/domains$/, 'listDomains'],
+  ['post', /^\/domains$/, 'addDomain'],
+  ['delete', /^\/domains\/([^/]+)$/, 'deleteDomain'],
+  ['get', /^\/domains\/([^/]+)\/records$/, 'listRecords'],
+  ['post', /^\/domains\/([^/]+)\/records$/, 'addRecord'],
+  ['delete', /^\/domains\/([^/]+)\/records\/([^/]+)$/, 'deleteRecord'],
+  ['get', /^\/now\/secrets$/, 'listSecrets'],
+  ['post', /^\/now\/secrets$/, 'createSecret'],
+  ['patch', /^\/now\/secrets\/([^/]+)$/, 'renameSecret'],
+  ['delete', /^\/now\/secrets\/([^/]+)$/, 'deleteSecret']
+]
+
+function sha1(data) {
+  return crypto.createHash('sha1').update(data).digest('hex')
+}
+
+// Thrown by route handlers, turned into an error response
+function apiError(status, code, message, extra) {
+  return {
+    status,
+    body: {
+      error: Object.assign({code, message}, extra)
+    }
+  }
+}
+
+/**
+ * Responds with a page of `items`, newest first, like the list endpoints do.
+ * @return {Object}
+ * @param  {String} key     Key of the items in the response
+ * @param  {Array} items
+ * @param  {Object} query     `limit`, `since` and `until`
+ */
+function paginate(key, items, query) {
+  const since = Number(query.since) || 0
+  const until = Number(query.until) || Infinity
+  const limit = Number(query.limit) || Infinity
+  const matching = items
+    .filter(item => item.created > since && item.created < until)
+    .sort((a, b) => b.created - a.created)
+  const page = matching.slice(0, limit)
+  const hasMore = matching.length > page.length
+
+  return {
+    [key]: page,
+    pagination: {
+      count: page.length,
+      next: hasMore ? page[page.length - 1].created : null
+    }
+  }
+}
+
+// Builds the nested structure `getFiles` returns out of flat paths
+function createTree(files) {
+  const root = []
+
+  Object.keys(files).sort().forEach(file => {
+    const parts = file.split('/')
+    let children = root
+
+    parts.slice(0, -1).forEach((name, index) => {
+      let dir = children.find(child => child.name === name && child.type === 'directory')
+
+      if (!dir) {
+        dir = {
+          type: 'directory',
+          name,
+          uid: sha1(parts.slice(0, index + 1).join('/')),
+          children: []
+        }
+        children.push(dir)
+      }
+
+      children = dir.children
+    })
+
+    children.push({
+      type: 'file',
+      name: parts[parts.length - 1],
+      uid: files[file].uid
+    })
+  })
+
+  return root
+}
+
+/**
+ * In-process fake of the now API, covering every route the client uses.
+ * State is kept in memory and separated by team.
+ * @constructor
+ * @param {Object} [options]
+ * @param {String} [options.token] - Requests with any other token get a 401.
+ * @param {Number} [options.latency=0] - Milliseconds to wait before every response.
+ * @param {Object} [options.rateLimit] - `{ limit, window }`, responds with a 429
+ * once more than `limit` requests were made within `window` milliseconds.
+ * @param {Array} [options.deploymentStates] - States new deployments walk through.
+ */
+function MockServer(options = {}) {
+  if (!(this instanceof MockServer)) {
+    return new MockServer(options)
+  }
+
+  this.options = options
+  this.rules = []
+  this.reset()
+
+  this.server = http.createServer((req, res) => this.handle(req, res))
+}
+
+MockServer.prototype = {
+  /**
+   * Forgets all data, recorded requests and simulations.
+   */
+  reset() {
+    this.scopes = {}
+    this.blobs = {}
+    this.requests = []
+    this.rules = []
+    this.hits = []
+    this.clock = 0
+    this.ids = 0
+  },
+
+  /**
+   * Starts listening on localhost.
+   * @return {Promise}  Resolves with the URL to use as `baseUrl`
+   * @param  {Number} [port=0]     Picks a free port by default
+   */
+  listen(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(port, '127.0.0.1', () => {
+        this.server.removeListener('error', reject)
+        this.url = `http://127.0.0.1:${this.server.address().port}`
+        resolve(this.url)
+      })
+    })
+  },
+
+  /**
+   * Stops listening.
+   * @return {Promise}
+   */
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()))
+  },
+
+  /**
+   * Makes the next matching requests misbehave.
+   * @param  {Object} rule
+   * @param  {String} [rule.method]     Only requests with this method
+   * @param  {String|RegExp} [rule.path]     Only requests to this path
+   * @param  {Number} [rule.times=1]     Number of requests to affect
+   * @param  {Number} [rule.latency]     Delay the response by these milliseconds
+   * @param  {Number} [rule.status]     Respond with this status instead
+   * @param  {Object} [rule.body]     Body of that response
+   * @param  {Object} [rule.headers]     Headers of that response
+   * @param  {Boolean} [rule.network]     Destroy the connection without responding
+   */
+  simulate(rule) {
+    this.rules.push(Object.assign({times: 1}, rule))
+  },
+
+  // Unique, increasing timestamps keep pagination deterministic
+  now() {
+    this.clock = Math.max(Date.now(), this.clock + 1)
+    return this.clock
+  },
+
+  id(prefix) {
+    this.ids++
+    return `${prefix}${sha1(String(this.ids)).slice(0, 20)}`
+  },
+
+  scope(query) {
+    const key = query.teamId || query.slug || ''
+
+    if (!this.scopes[key]) {
+      this.scopes[key] = {
+        deployments: [],
+        aliases: [],
+        certs: [],
+        domains: [],
+        secrets: []
+      }
+    }
+
+    return this.scopes[key]
+  },
+
+  findRule(method, path) {
+    const rule = this.rules.find(candidate => {
+      const pathMatches = !candidate.path ||
+        (candidate.path instanceof RegExp ? candidate.path.test(path) : candidate.path === path)
+      return pathMatches && (!candidate.method || candidate.method.toLowerCase() === method)
+    })
+
+    if (rule && --rule.times <= 0) {
+      this.rules.splice(this.rules.indexOf(rule), 1)
+    }
+
+    return rule
+  },
+
+  isRateLimited() {
+    const limit = this.options.rateLimit
+
+    if (!limit) {
+      return false
+    }
+
+    const now = Date.now()
+    this.hits = this.hits.filter(hit => hit > now - limit.window)
+    this.hits.push(now)
+
+    return this.hits.length > limit.limit
+  },
+
+  handle(req, res) {
+    const chunks = []
+
+    req.on('data', chunk => chunks.push(chunk))
+    req.on('end', () => {
+      const {pathname, query} = parse(req.url, true)
+      const method = req.method.toLowerCase()
+      const raw = Buffer.concat(chunks)
+      const isJSON = /json/.test(req.headers['content-type'] || '')
+      let body = raw
+
+      if (isJSON && raw.length > 0) {
+        try {
+          body = JSON.parse(raw.toString())
+        } catch (err) {
+          return this.respond(res, apiError(400, 'invalid_json', 'Invalid JSON'))
+        }
+      }
+
+      this.requests.push({method: req.method, path: pathname, query, headers: req.headers, body})
+
+      const rule = this.findRule(method, pathname) || {}
+      const latency = (rule.latency || 0) + (this.options.latency || 0)
+
+      setTimeout(() => {
+        if (rule.network) {
+          return req.socket.destroy()
+        }
+
+        if (rule.status) {
+          return this.respond(res, {status: rule.status, body: rule.body, headers: rule.headers})
+        }
+
+        this.respond(res, this.revalidate(req, method, this.route(req, {method, pathname, query, body})))
+      }, latency)
+    })
+  },
+
+  // Adds an `ETag` to successful GETs and answers with a 304 if it matches `If-None-Match`
+  revalidate(req, method, result) {
+    if (method !== 'get' || (result.status && result.status !== 200) || Buffer.isBuffer(result.body)) {
+      return result
+    }
+
+    const etag = `"${sha1(JSON.stringify(result.body === undefined ? {} : result.body))}"`
+    const headers = Object.assign({ETag: etag}, result.headers)
+
+    if (req.headers['if-none-match'] === etag) {
+      return {status: 304, headers}
+    }
+
+    return Object.assign({}, result, {headers})
+  },
+
+  route(req, {method, pathname, query, body}) {
+    const token = this.options.token
+
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      return apiError(401, 'forbidden', 'Not authorized')
+    }
+
+    if (this.isRateLimited()) {
+      return Object.assign(apiError(429, 'rate_limited', 'Rate limit exceeded'), {
+        headers: {'Retry-After': Math.ceil(this.options.rateLimit.window / 1000)}
+      })
+    }
+
+    for (const [routeMethod, pattern, handler] of ROUTES) {
+      const match = pattern.exec(pathname)
+
+      if (match && routeMethod === method) {
+        try {
+          const params = match.slice(1).map(decodeURIComponent)
+          return this[handler]({params, query, body, store: this.scope(query)})
+        } catch (err) {
+          if (err.status) {
+            return err
+          }
+
+          return apiError(500, 'internal_server_error', err.message)
+        }
+      }
+    }
+
+    return apiError(404, 'not_found', `No route for ${method.toUpperCase()} ${pathname}`)
+  },
+
+  respond(res, {status = 200, body, headers}) {
+    if (status === 304) {
+      res.writeHead(status, headers)
+      return res.end()
+    }
+
+    if (Buffer.isBuffer(body) || typeof body === 'string') {
+      res.writeHead(status, Object.assign({'Content-Type': 'text/plain'}, headers))
+      return res.end(body)
+    }
+
+    res.writeHead(status, Object.assign({'Content-Type': 'application/json'}, headers))
+    res.end(JSON.stringify(body === undefined ? {} : body))
+  },
+
+  findDeployment(store, id) {
+    const deployment = store.deployments.find(item => item.uid === id || item.host === id)
+
+    if (!deployment) {
+      throw apiError(404, 'not_found', `Deployment ${id} not found`)
+    }
+
+    return deployment
+  },
+
+  // Public representation, without the file contents
+  serializeDeployment(deployment) {
+    return {
+      uid: deployment.uid,
+      name: deployment.name,
+      url: deployment.host,
+      host: deployment.host,
+      state: deployment.state,
+      created: deployment.created
+    }
+  },
+
+  listDeployments({query, store}) {
+    return {body: paginate('deployments', store.deployments.map(this.serializeDeployment), query)}
+  },
+
+  createDeployment({body, store}) {
+    if (!body || typeof body !== 'object' || Buffer.isBuffer(body)) {
+      throw apiError(400, 'bad_request', 'Missing deployment body')
+    }
+
+    const files = {}
+
+    if (Array.isArray(body.files)) {
+      const missing = body.files.filter(file => !this.blobs[file.sha]).map(file => file.sha)
+
+      if (missing.length > 0) {
+        throw apiError(400, 'missing_files', 'Missing files', {missing})
+      }
+
+      body.files.forEach(file => {
+        files[file.file] = {uid: file.sha, data: this.blobs[file.sha]}
+      })
+    } else {
+      Object.keys(body).filter(key => key !== 'package').forEach(file => {
+        const content = body[file]
+        const data = Buffer.from(typeof content === 'string' ? content : JSON.stringify(content))
+        files[file] = {uid: sha1(data), data}
+      })
+    }
+
+    // Like the API, keep the `package` key as `package.json`
+    if (body.package) {
+      const data = Buffer.from(JSON.stringify(body.package, null, 2))
+      files['package.json'] = {uid: sha1(data), data}
+    }
+
+    const uid = this.id('')
+    const name = (body.package && body.package.name) || 'now-deployment'
+    const deployment = {
+      uid,
+      name,
+      host: `${name}-${uid.slice(0, 8)}.now.sh`,
+      step: 0,
+      state: (this.options.deploymentStates || DEPLOYMENT_STATES)[0],
+      created: this.now(),
+      files,
+      logs: []
+    }
+
+    this.log(deployment)
+    store.deployments.push(deployment)
+
+    return {body: {uid, host: deployment.host, state: deployment.state}}
+  },
+
+  log(deployment) {
+    deployment.logs.push({
+      id: this.id('log_'),
+      type: 'stdout',
+      created: this.now(),
+      text: `Deployment is ${deployment.state}`
+    })
+  },
+
+  getDeployment({params, store}) {
+    const deployment = this.findDeployment(store, params[0])
+    const states = this.options.deploymentStates || DEPLOYMENT_STATES
+    const body = this.serializeDeployment(deployment)
+
+    // Every fetch moves the deployment to its next state
+    if (deployment.step < states.length - 1) {
+      deployment.step++
+      deployment.state = states[deployment.step]
+      this.log(deployment)
+    }
+
+    return {body}
+  },
+
+  deleteDeployment({params, store}) {
+    const deployment = this.findDeployment(store, params[0])
+
+    store.deployments.splice(store.deployments.indexOf(deployment), 1)
+    store.aliases = store.aliases.filter(alias => alias.deploymentId !== deployment.uid)
+
+    return {body: {uid: deployment.uid, state: 'DELETED'}}
+  },
+
+  getLogs({params, query, store}) {
+    const deployment = this.findDeployment(store, params[0])
+    const since = Number(query.since) || 0
+
+    return {body: deployment.logs.filter(event => event.created >= since)}
+  },
+
+  getFiles({params, store}) {
+    return {body: createTree(this.findDeployment(store, params[0]).files)}
+  },
+
+  getFile({params, store}) {
+    const {files} = this.findDeployment(store, params[0])
+    const file = Object.keys(files).map(key => files[key]).find(item => item.uid === params[1])
+
+    if (!file) {
+      throw apiError(404, 'not_found', `File ${params[1]} not found`)
+    }
+
+    return {body: file.data}
+  },
+
+  uploadFile({body}) {
+    const data = Buffer.isBuffer(body) ? body : Buffer.from(JSON.stringify(body))
+    const sha = sha1(data)
+
+    this.blobs[sha] = data
+
+    return {body: {sha}}
+  },
+
+  serializeAlias(alias) {
+    return {
+      uid: alias.uid,
+      alias: alias.alias,
+      deploymentId: alias.deploymentId,
+      created: alias.created
+    }
+  },
+
+  listAliases({query, store}) {
+    return {body: paginate('aliases', store.aliases.map(this.serializeAlias), query)}
+  },
+
+  listDeploymentAliases({params, query, store}) {
+    const deployment = this.findDeployment(store, params[0])
+    const aliases = store.aliases.filter(alias => alias.deploymentId === deployment.uid)
+
+    return {body: paginate('aliases', aliases.map(this.serializeAlias), query)}
+  },
+
+  createAlias({params, body, store}) {
+    const deployment = this.findDeployment(store, params[0])
+
+    if (!body || !body.alias) {
+      throw apiError(400, 'missing_alias', 'Missing alias')
+    }
+
+    const existing = store.aliases.find(alias => alias.alias === body.alias)
+
+    if (existing) {
+      const oldId = existing.deploymentId
+      existing.deploymentId = deployment.uid
+      return {body: {uid: existing.uid, created: existing.created, oldId}}
+    }
+
+    const alias = {
+      uid: this.id('alias_'),
+      alias: body.alias,
+      deploymentId: deployment.uid,
+      created: this.now()
+    }
+
+    store.aliases.push(alias)
+
+    return {body: {uid: alias.uid, created: alias.created}}
+  },
+
+  deleteAlias({params, store}) {
+    const alias = store.aliases.find(item => item.uid === params[0] || item.alias === params[0])
+
+    if (!alias) {
+      throw apiError(404, 'not_found', `Alias ${params[0]} not found`)
+    }
+
+    store.aliases.splice(store.aliases.indexOf(alias), 1)
+
+    return {body: {status: 'SUCCESS'}}
+  },
+
+  findCert(store, cn) {
+    const cert = store.certs.find(item => item.cn === cn)
+
+    if (!cert) {
+      throw apiError(404, 'not_found', `Certificate for ${cn} not found`)
+    }
+
+    return cert
+  },
+
+  listCerts({query, store}) {
+    return {body: paginate('certs', store.certs, query)}
+  },
+
+  getCert({params, store}) {
+    return {body: {certs: [this.findCert(store, params[0])]}}
+  },
+
+  createCert({body, store}) {
+    const cn = body && body.domains && body.domains[0]
+
+    if (!cn) {
+      throw apiError(400, 'missing_domains', 'Missing domains')
+    }
+
+    const existing = store.certs.find(item => item.cn === cn)
+    const now = this.now()
+
+    if (body.renew) {
+      const cert = this.findCert(store, cn)
+      cert.expiration = new Date(now + CERT_LIFETIME).toISOString()
+      return {body: {uid: cert.uid, created_at: new Date(now).toISOString()}} // eslint-disable-line camelcase
+    }
+
+    if (existing) {
+      throw apiError(409, 'cert_exists', `Certificate for ${cn} already exists`)
+    }
+
+    const cert = {
+      uid: this.id('cert_'),
+      cn,
+      created: now,
+      expiration: new Date(now + CERT_LIFETIME).toISOString(),
+      autoRenew: true
+    }
+
+    store.certs.push(cert)
+
+    return {body: {uid: cert.uid, created_at: new Date(now).toISOString()}} // eslint-disable-line camelcase
+  },
+
+  replaceCert({body, store}) {
+    const cn = body && body.domains && body.domains[0]
+    const cert = this.findCert(store, cn)
+
+    if (!body.cert || !body.key) {
+      throw apiError(400, 'bad_request', 'Missing `cert` or `key`')
+    }
+
+    cert.created = this.now()
+
+    return {body: {created: new Date(cert.created).toISOString()}}
+  },
+
+  deleteCert({params, store}) {
+    const cert = this.findCert(store, params[0])
+    store.certs.splice(store.certs.indexOf(cert), 1)
+
+    return {body: {}}
+  },
+
+  findDomain(store, name) {
+    const domain = store.domains.find(item => item.name === name)
+
+    if (!domain) {
+      throw apiError(404, 'not_found', `Domain ${name} not found`)
+    }
+
+    return domain
+  },
+
+  listDomains({query, store}) {
+    const domains = store.domains.map(domain => ({
+      uid: domain.uid,
+      name: domain.name,
+      isExternal: domain.isExternal,
+      created: domain.created,
+      aliases: store.aliases.filter(alias => {
+        return alias.alias === domain.name || alias.alias.endsWith(`.${domain.name}`)
+      }).map(alias => alias.alias)
+    }))
+
+    return {body: paginate('domains', domains, query)}
+  },
+
+  addDomain({body, store}) {
+    if (!body || typeof body.name !== 'string') {
+      throw apiError(400, 'missing_name', 'Missing name')
+    }
+
+    if (store.domains.find(item => item.name === body.name)) {
+      throw apiError(409, 'domain_exists', `Domain ${body.name} already exists`)
+    }
+
+    const domain = {
+      uid: this.id('dom_'),
+      name: body.name,
+      isExternal: Boolean(body.isExternal),
+      created: this.now(),
+      records: []
+    }
+
+    store.domains.push(domain)
+
+    return {body: {uid: domain.uid, created: domain.created}}
+  },
+
+  deleteDomain({params, store}) {
+    const domain = this.findDomain(store, params[0])
+    store.domains.splice(store.domains.indexOf(domain), 1)
+
+    return {body: {uid: domain.uid}}
+  },
+
+  listRecords({params, store}) {
+    return {body: {records: this.findDomain(store, params[0]).records}}
+  },
+
+  addRecord({params, body, store}) {
+    const domain = this.findDomain(store, params[0])
+
+    if (!body || !body.type) {
+      throw apiError(400, 'missing_type', 'Missing record type')
+    }
+
+    const record = Object.assign({}, body, {
+      id: this.id('rec_'),
+      name: body.name || '',
+      created: this.now()
+    })
+
+    domain.records.push(record)
+
+    return {body: {uid: record.id}}
+  },
+
+  deleteRecord({params, store}) {
+    const domain = this.findDomain(store, params[0])
+    const record = domain.records.find(item => item.id === params[1])
+
+    if (!record) {
+      throw apiError(404, 'not_found', `Record ${params[1]} not found`)
+    }
+
+    domain.records.splice(domain.records.indexOf(record), 1)
+
+    return {body: {}}
+  },
+
+  findSecret(store, id) {
+    const secret = store.secrets.find(item => item.uid === id || item.name === id)
+
+    if (!secret) {
+      throw apiError(404, 'not_found', `Secret ${id} not found`)
+    }
+
+    return secret
+  },
+
+  // Values are never handed out, just like the real API
+  serializeSecret(secret) {
+    return {
+      uid: secret.uid,
+      name: secret.name,
+      created: secret.created
+    }
+  },
+
+  listSecrets({query, store}) {
+    return {body: paginate('secrets', store.secrets.map(this.serializeSecret), query)}
+  },
+
+  createSecret({body, store}) {
+    if (!body || !body.name || !body.value) {
+      throw apiError(400, 'bad_request', 'Missing `name` or `value`')
+    }
+
+    if (store.secrets.find(item => item.name === body.name)) {
+      throw apiError(409, 'secret_exists', `Secret ${body.name} already exists`)
+    }
+
+    const secret = {
+      uid: this.id('sec_'),
+      name: body.name,
+      value: body.value,
+      created: this.now()
+    }
+
+    store.secrets.push(secret)
+
+    return {body: this.serializeSecret(secret)}
+  },
+
+  renameSecret({params, body, store}) {
+    const secret = this.findSecret(store, params[0])
+    const oldName = secret.name
+
+    secret.name = body.name
+
+    return {body: Object.assign(this.serializeSecret(secret), {oldName})}
+  },
+
+  deleteSecret({params, store}) {
+    const secret = this.findSecret(store, params[0])
+    store.secrets.splice(store.secrets.indexOf(secret), 1)
+
+    return {body: this.serializeSecret(secret)}
+  }
+}
+
+module.exports = MockServer
@@ -0,0 +1,71 @@
+const EventEmitter = require('events')
+
+const {AbortError} = require('./errors')
+
+/**
+ * Runs `checkCertificates` right away and then periodically, until stopped.
+ * Emits `report` with every report, `renewed` and `failed` for every
+ * certificate in these lists, `expiring` for every certificate inside
+ * the window and `error` if a check fails as a whole. Like any `error`
+ * event, that one is thrown if nobody listens. Either way, the monitor
+ * keeps running.
+ * @constructor
+ * @param {Now} now - Client to check the certificates with.
+ * @param {Object} [options] - Options of `checkCertificates`.
+ * @param {Number} [options.interval=86400000] - Milliseconds between checks.
+ * @param {AbortSignal} [options.signal] - Stops the monitor, aborting a running check.
+ */
+function CertificateMonitor(now, options = {}) {
+  EventEmitter.call(this)
+
+  this.now = now
+  this.options = options
+  this.interval = options.interval || 86400000
+  this.timer = null
+  this.stopped = false
+
+  if (options.signal && options.signal.aborted) {
+    this.stop()
+  } else if (options.signal) {
+    options.signal.addEventListener('abort', () => this.stop())
+  }
+
+  // Gives the caller a chance to add listeners first
+  process.nextTick(() => this.check())
+}
+
+CertificateMonitor.prototype = Object.assign(Object.create(EventEmitter.prototype), {
+  check() {
+    if (this.stopped) {
+      return
+    }
+
+    const schedule = () => {
+      if (!this.stopped) {
+        this.timer = setTimeout(() => this.check(), this.interval)
+      }
+    }
+
+    this.now.checkCertificates(this.options).then(report => {
+      report.renewed.concat(report.failed).forEach(entry => this.emit('expiring', entry))
+      report.renewed.forEach(entry => this.emit('renewed', entry))
+      report.failed.forEach(entry => this.emit('failed', entry))
+      this.emit('report', report)
+    }, err => {
+      // Aborting stops the monitor, it isn't a failed check. Emitting
+      // outside of the chain, an `error` without listeners isn't swallowed.
+      if (!(err instanceof AbortError)) {
+        process.nextTick(() => this.emit('error', err))
+      }
+    }).then(schedule, schedule)
+  },
+
+  // Cancels the next check, one that is running still finishes unless
+  // `options.signal` aborts it
+  stop() {
+    this.stopped = true
+    clearTimeout(this.timer)
+  }
+})
+
+module.exports = CertificateMonitor
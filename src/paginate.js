@@ -0,0 +1,100 @@
+// Not every supported Node version knows `Symbol.asyncIterator`
+const asyncIterator = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator')
+
+/**
+ * Picks the list filters out of an options object.
+ * @return {Object}  Query string parameters
+ * @param  {Object} [options]     `limit`, `since` and `until`, dates may be
+ * given as `Date` or milliseconds
+ */
+function getListQuery(options) {
+  const query = {}
+
+  if (!options) {
+    return query
+  }
+
+  ['limit', 'since', 'until'].forEach(key => {
+    const value = options[key]
+
+    if (value !== undefined && value !== null) {
+      query[key] = value instanceof Date ? value.getTime() : value
+    }
+  })
+
+  return query
+}
+
+/**
+ * Creates an async iterator over every item of a paginated list endpoint.
+ * Pages are fetched lazily, the `pagination.next` cursor of each response
+ * is passed as `until` to get the following one.
+ * @return {Object}  Async iterator, usable with `for await`
+ * @param  {Function} fetchPage     Called with the query, resolves with the response
+ * @param  {String} selector     Key of the items in the response
+ * @param  {Object} [query]     Query of the first page
+ */
+function paginate(fetchPage, selector, query) {
+  let items = []
+  let nextQuery = Object.assign({}, query)
+  let done = false
+
+  const iterator = {
+    next() {
+      if (items.length > 0) {
+        return Promise.resolve({value: items.shift(), done: false})
+      }
+
+      if (done) {
+        return Promise.resolve({value: undefined, done: true})
+      }
+
+      return fetchPage(nextQuery).then(res => {
+        const next = res.pagination && res.pagination.next
+
+        items = (res[selector] || []).slice()
+
+        if (next && items.length > 0) {
+          nextQuery = Object.assign({}, nextQuery, {until: next})
+        } else {
+          done = true
+        }
+
+        return iterator.next()
+      })
+    },
+
+    [asyncIterator]() {
+      return iterator
+    }
+  }
+
+  return iterator
+}
+
+/**
+ * Collects every item of an async iterator into an array.
+ * @return {Promise}
+ * @param  {Object} iterator     E.g. the one of `now.iterateDeployments()`
+ */
+function collect(iterator) {
+  const results = []
+  const it = typeof iterator[asyncIterator] === 'function' ? iterator[asyncIterator]() : iterator
+
+  const step = () => it.next().then(result => {
+    if (result.done) {
+      return results
+    }
+
+    results.push(result.value)
+    return step()
+  })
+
+  return step()
+}
+
+module.exports = {
+  getListQuery,
+  paginate,
+  collect
+}
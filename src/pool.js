@@ -0,0 +1,51 @@
+/**
+ * Calls `fn` for every item, with at most `limit` calls pending at once.
+ * Rejects as soon as one of the calls fails.
+ * @return {Promise}  Resolves with the results in the order of `items`
+ * @param  {Array} items
+ * @param  {Number} limit     Maximum number of pending calls
+ * @param  {Function} fn     Called with `(item, index)`, should return a promise
+ */
+function mapLimit(items, limit, fn) {
+  return new Promise((resolve, reject) => {
+    const results = new Array(items.length)
+    let next = 0
+    let pending = 0
+    let failed = false
+
+    function start(index) {
+      pending++
+
+      Promise.resolve()
+        .then(() => fn(items[index], index))
+        .then(result => {
+          results[index] = result
+          pending--
+          run() // eslint-disable-line no-use-before-define
+        }, err => {
+          failed = true
+          reject(err)
+        })
+    }
+
+    function run() {
+      if (failed) {
+        return
+      }
+
+      if (next === items.length && pending === 0) {
+        return resolve(results)
+      }
+
+      while (pending < limit && next < items.length) {
+        start(next++)
+      }
+    }
+
+    run()
+  })
+}
+
+module.exports = {
+  mapLimit
+}
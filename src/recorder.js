@@ -0,0 +1,175 @@
+const fs = require('fs')
+const {promisify} = require('util')
+
+const {CODES, NowError} = require('./errors')
+const {writeFileDeep} = require('./files')
+
+const readFile = promisify(fs.readFile)
+
+// Response headers worth keeping, everything else (e.g. cookies) is dropped
+const HEADERS = ['content-type', 'etag', 'retry-after']
+
+// Request fields that hold secrets, replaced before anything is written
+const SCRUB = [
+  {url: /^\/now\/secrets/, fields: ['value']},
+  {url: /^\/now\/certs/, fields: ['key']}
+]
+
+const REDACTED = '[REDACTED]'
+
+function encode(body) {
+  return Buffer.isBuffer(body) ? {base64: body.toString('base64')} : body
+}
+
+function decode(body) {
+  return body && typeof body.base64 === 'string' ? Buffer.from(body.base64, 'base64') : body
+}
+
+function pickHeaders(headers) {
+  return HEADERS.reduce((picked, name) => {
+    if (headers && headers[name] !== undefined) {
+      picked[name] = headers[name]
+    }
+
+    return picked
+  }, {})
+}
+
+// The parts of a request that identify it, with secrets scrubbed
+function describe(config, scope) {
+  const request = {
+    method: (config.method || 'get').toUpperCase(),
+    url: config.url,
+    qs: Object.assign({}, scope, config.qs),
+    body: encode(config.body)
+  }
+
+  SCRUB.filter(rule => rule.url.test(config.url)).forEach(rule => {
+    if (request.body && typeof request.body === 'object') {
+      request.body = Object.assign({}, request.body)
+      rule.fields.filter(field => field in request.body).forEach(field => {
+        request.body[field] = REDACTED
+      })
+    }
+  })
+
+  return request
+}
+
+/**
+ * Records every request and its response into a fixture file, or serves
+ * the responses of such a file instead of sending requests.
+ * @constructor
+ * @param {String} mode - `record` or `replay`.
+ * @param {String} file - Path of the fixture file.
+ * @param {String} token - Replaced in everything that is written.
+ */
+function Recorder(mode, file, token) {
+  this.mode = mode
+  this.file = file
+  this.token = token
+  this.interactions = []
+  this.queue = Promise.resolve()
+  this.loaded = null
+}
+
+Recorder.prototype = {
+  /**
+   * Sends a request through the recorder.
+   * @return {Promise}  Resolves with the response, rejects like `request` does
+   * @param  {Object} config     Config of the request
+   * @param  {Function} send     Sends a request, resolves with the full response
+   * @param  {Object} [scope]     Team the request is sent within, e.g. `{ teamId }`
+   */
+  send(config, send, scope) {
+    return this.mode === 'replay' ? this.replay(config, scope) : this.record(config, send, scope)
+  },
+
+  record(config, send, scope) {
+    const request = describe(config, scope)
+    const save = (response, error) => {
+      this.interactions.push(error ? {request, error} : {request, response})
+
+      // Tokens may also show up in bodies, e.g. of `/now/registration`
+      const content = JSON.stringify({interactions: this.interactions}, null, 2)
+        .split(this.token).join('[TOKEN]')
+
+      this.queue = this.queue.then(() => writeFileDeep(this.file, `${content}\n`))
+      return this.queue
+    }
+
+    return send(config).then(res => save({
+      statusCode: res.statusCode,
+      headers: pickHeaders(res.headers),
+      body: encode(res.body)
+    }).then(() => res), err => {
+      const saved = err.name === 'StatusCodeError' ?
+        save({statusCode: err.statusCode, headers: pickHeaders(err.response && err.response.headers), body: encode(err.error)}) :
+        save(null, {code: (err.cause || err).code, message: (err.cause || err).message})
+
+      return saved.then(() => {
+        throw err
+      })
+    })
+  },
+
+  load() {
+    if (!this.loaded) {
+      this.loaded = readFile(this.file, 'utf8').then(content => {
+        this.interactions = JSON.parse(content).interactions.map(interaction => {
+          return Object.assign({used: false}, interaction)
+        })
+      }).catch(err => {
+        throw new NowError(`Unable to read fixtures from ${this.file}: ${err.message}`, {
+          code: CODES.INVALID_FIXTURES,
+          file: this.file
+        })
+      })
+    }
+
+    return this.loaded
+  },
+
+  // Serves the first unused interaction matching the request, so repeated requests replay in order
+  replay(config, scope) {
+    const request = JSON.stringify(describe(config, scope))
+
+    return this.load().then(() => {
+      const interaction = this.interactions.find(candidate => {
+        return !candidate.used && JSON.stringify(candidate.request) === request
+      })
+
+      if (!interaction) {
+        throw new NowError(`No recorded response for ${request}`, {
+          code: CODES.REPLAY_MISMATCH,
+          method: (config.method || 'get').toUpperCase(),
+          url: config.url
+        })
+      }
+
+      interaction.used = true
+
+      if (interaction.error) {
+        throw Object.assign(new Error(interaction.error.message), {
+          name: 'RequestError',
+          cause: Object.assign(new Error(interaction.error.message), {code: interaction.error.code})
+        })
+      }
+
+      const {statusCode, headers, body} = interaction.response
+
+      if (statusCode >= 300) {
+        throw Object.assign(new Error(`${statusCode}`), {
+          name: 'StatusCodeError',
+          statusCode,
+          error: decode(body),
+          response: {statusCode, headers}
+        })
+      }
+
+      return {statusCode, headers, body: decode(body), fromFixtures: true}
+    })
+  }
+}
+
+module.exports = Recorder
@@ -0,0 +1,67 @@
+// Hostnames compare without case and trailing dot
+function host(name) {
+  return String(name || '').toLowerCase().replace(/\.$/, '')
+}
+
+// Identifies a record by what it resolves to, ignoring its ID and dates
+function getKey(record) {
+  const type = String(record.type).toUpperCase()
+  const parts = [type, host(record.name)]
+
+  if (type === 'SRV' && record.srv) {
+    const {priority, weight, port, target} = record.srv
+    parts.push(Number(priority), Number(weight), Number(port), host(target))
+  } else if (type === 'CNAME' || type === 'ALIAS' || type === 'MX') {
+    parts.push(host(record.value))
+  } else {
+    parts.push(String(record.value))
+  }
+
+  if (type === 'MX') {
+    parts.push(Number(record.mxPriority || 0))
+  }
+
+  return JSON.stringify(parts)
+}
+
+// The name and type a record is declared for
+function getSlot(record) {
+  return `${String(record.type).toUpperCase()} ${host(record.name)}`
+}
+
+/**
+ * Compares the live records of a domain with the desired ones.
+ * Records with a name and type that is declared, but a different value,
+ * are deleted. Records of undeclared names and types are kept, unless
+ * `options.prune` is set.
+ * @return {Object}  `{ creates, deletes, unchanged }`
+ * @param  {Array} current     As returned by `getDomainRecords`
+ * @param  {Array} desired     Records as taken by `addDomainRecord`
+ * @param  {Object} [options]
+ * @param  {Boolean} [options.prune]     Also delete records of undeclared names and types
+ */
+function planRecords(current, desired, options = {}) {
+  const slots = desired.map(getSlot)
+  const wanted = desired.map(getKey)
+  const existing = current.map(getKey)
+
+  const creates = desired.filter((record, index) => {
+    return existing.indexOf(wanted[index]) === -1 && wanted.indexOf(wanted[index]) === index
+  })
+
+  const unchanged = current.filter((record, index) => wanted.indexOf(existing[index]) !== -1)
+
+  const deletes = current.filter((record, index) => {
+    if (wanted.indexOf(existing[index]) !== -1) {
+      return false
+    }
+
+    return options.prune || slots.indexOf(getSlot(record)) !== -1
+  })
+
+  return {creates, deletes, unchanged}
+}
+
+module.exports = {
+  planRecords
+}
@@ -0,0 +1,47 @@
+const DAY = 24 * 60 * 60 * 1000
+
+/**
+ * Decides which deployments a retention policy keeps. A deployment is kept
+ * if it has an alias, is one of the latest `keepLatest` of its name, or
+ * is younger than `olderThanDays`. Rules that aren't given keep nothing.
+ * @return {Array}  `{ deployment, action, reason }` for every deployment,
+ * `action` being either `keep` or `delete`
+ * @param  {Array} deployments     As returned by `getDeployments`
+ * @param  {Array} aliases     As returned by `getAliases`
+ * @param  {Object} policy     `{ keepLatest, olderThanDays }`
+ * @param  {Number} [now]     Current time in milliseconds
+ */
+function planRetention(deployments, aliases, policy, now = Date.now()) {
+  const aliased = aliases.map(alias => alias.deploymentId)
+  const counts = {}
+  const ranks = {}
+
+  // 1 for the newest deployment of every name, 2 for the one before and so on
+  deployments.slice().sort((a, b) => b.created - a.created).forEach(deployment => {
+    const name = deployment.name || ''
+    counts[name] = (counts[name] || 0) + 1
+    ranks[deployment.uid] = counts[name]
+  })
+
+  return deployments.map(deployment => {
+    const decide = (action, reason) => ({deployment, action, reason})
+
+    if (aliased.indexOf(deployment.uid) !== -1) {
+      return decide('keep', 'aliased')
+    }
+
+    if (policy.keepLatest !== undefined && ranks[deployment.uid] <= policy.keepLatest) {
+      return decide('keep', 'latest')
+    }
+
+    if (policy.olderThanDays !== undefined && now - deployment.created < policy.olderThanDays * DAY) {
+      return decide('keep', 'recent')
+    }
+
+    return decide('delete', policy.olderThanDays === undefined ? 'superseded' : 'expired')
+  })
+}
+
+module.exports = {
+  planRetention
+}
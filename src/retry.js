@@ -0,0 +1,112 @@
+const DEFAULT_POLICY = {
+  maxAttempts: 3,
+  minDelay: 500,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true,
+  retryNonIdempotent: false
+}
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'delete']
+const NETWORK_ERRORS = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN'
+]
+
+/**
+ * Fills in the defaults of a retry policy.
+ * @return {Object}
+ * @param  {Object|Boolean} [policy]     `false` disables retries
+ */
+function createPolicy(policy) {
+  if (policy === false) {
+    return Object.assign({}, DEFAULT_POLICY, {maxAttempts: 1})
+  }
+
+  return Object.assign({}, DEFAULT_POLICY, policy)
+}
+
+// Tells 429s, 5xx and network failures apart from errors that would just happen again.
+// Understands both errors of `request` and the `NowError`s they're turned into.
+function isTransient(err) {
+  const status = err.statusCode || err.status
+
+  if (status) {
+    return status === 429 || status >= 500
+  }
+
+  const cause = err.cause || err.error || err
+  return NETWORK_ERRORS.indexOf(cause.code) !== -1
+}
+
+/**
+ * Parses a `Retry-After` header, which is either in seconds or a date.
+ * @return {Number}  Milliseconds to wait, or `undefined`
+ * @param  {Object} [headers]     Response headers
+ */
+function getRetryAfter(headers) {
+  const header = headers && headers['retry-after']
+
+  if (!header) {
+    return undefined
+  }
+
+  const seconds = Number(header)
+  const ms = isNaN(seconds) ? Date.parse(header) - Date.now() : seconds * 1000
+
+  return isNaN(ms) ? undefined : Math.max(ms, 0)
+}
+
+function getDelay(err, policy, attempt) {
+  const retryAfter = err.retryAfter === undefined ? getRetryAfter(err.response && err.response.headers) : err.retryAfter
+
+  if (retryAfter !== undefined) {
+    return retryAfter
+  }
+
+  const delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt - 1))
+  return policy.jitter ? (delay / 2) + (Math.random() * delay / 2) : delay
+}
+
+/**
+ * Calls `fn` until its promise resolves, as long as the policy allows
+ * another attempt for the method and the error is transient. Gives up
+ * right away if a `Retry-After` asks to wait longer than `maxDelay`.
+ * @return {Promise}
+ * @param  {Function} fn     Performs the request, should return a promise
+ * @param  {Object} policy     As returned by `createPolicy`
+ * @param  {String} [method='get']     HTTP method of the request
+ * @param  {Function} [wait]     Called with the milliseconds to wait before
+ * the next attempt, returns a promise
+ */
+function retry(fn, policy, method, wait = ms => new Promise(resolve => setTimeout(resolve, ms))) {
+  const idempotent = IDEMPOTENT_METHODS.indexOf((method || 'get').toLowerCase()) !== -1
+
+  const attempt = count => fn().catch(err => {
+    if (count >= policy.maxAttempts || !(idempotent || policy.retryNonIdempotent) || !isTransient(err)) {
+      throw err
+    }
+
+    const ms = getDelay(err, policy, count)
+
+    // A `Retry-After` beyond `maxDelay` isn't worth waiting for
+    if (ms > policy.maxDelay) {
+      throw err
+    }
+
+    return wait(ms).then(() => attempt(count + 1))
+  })
+
+  return attempt(1)
+}
+
+module.exports = {
+  createPolicy,
+  getRetryAfter,
+  isTransient,
+  retry
+}
@@ -0,0 +1,125 @@
+const {CODES, NowError} = require('./errors')
+
+// Only the fields the client and its callers rely on are checked, the API
+// is free to add more. A trailing `?` makes a field optional, `|` allows
+// several types and `[spec]` is an array of `spec`.
+const DEPLOYMENT = {uid: 'string', state: 'string?', created: 'number|string?'}
+const ALIAS = {uid: 'string', alias: 'string?', deploymentId: 'string?'}
+const CERT = {uid: 'string', cn: 'string', expiration: 'string?'}
+const DOMAIN = {uid: 'string', name: 'string', aliases: ['string']}
+const RECORD = {id: 'string', type: 'string', name: 'string?', value: 'string?'}
+const SECRET = {uid: 'string', name: 'string'}
+const PAGINATION = {pagination: 'object?'}
+
+const SCHEMAS = [
+  ['get', /^\/now\/deployments$/, Object.assign({deployments: [DEPLOYMENT]}, PAGINATION)],
+  ['post', /^\/now\/deployments$/, {uid: 'string', host: 'string?', state: 'string?'}],
+  ['get', /^\/now\/deployments\/[^/]+$/, DEPLOYMENT],
+  ['delete', /^\/now\/deployments\/[^/]+$/, {uid: 'string?', state: 'string?'}],
+  ['get', /^\/now\/deployments\/[^/]+\/logs$/, 'array|object'],
+  ['get', /^\/now\/deployments\/[^/]+\/files$/, 'array'],
+  ['get', /^\/now\/deployments\/[^/]+\/aliases$/, Object.assign({aliases: [ALIAS]}, PAGINATION)],
+  ['post', /^\/now\/deployments\/[^/]+\/aliases$/, {uid: 'string', oldId: 'string?'}],
+  ['get', /^\/now\/aliases$/, Object.assign({aliases: [ALIAS]}, PAGINATION)],
+  ['get', /^\/now\/certs(\/[^/]+)?$/, Object.assign({certs: [CERT]}, PAGINATION)],
+  ['post', /^\/now\/certs$/, {uid: 'string'}],
+  ['get', /^\/domains$/, Object.assign({domains: [DOMAIN]}, PAGINATION)],
+  ['post', /^\/domains$/, {uid: 'string'}],
+  ['get', /^\/domains\/[^/]+\/records$/, {records: [RECORD]}],
+  ['post', /^\/domains\/[^/]+\/records$/, {uid: 'string'}],
+  ['get', /^\/now\/secrets$/, Object.assign({secrets: [SECRET]}, PAGINATION)],
+  ['post', /^\/now\/secrets$/, SECRET],
+  ['patch', /^\/now\/secrets\/[^/]+$/, SECRET],
+  ['delete', /^\/now\/secrets\/[^/]+$/, {uid: 'string'}]
+]
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null'
+  }
+
+  return Array.isArray(value) ? 'array' : typeof value
+}
+
+/**
+ * Checks a value against a schema.
+ * @return {String}  What is wrong with the value, `undefined` if nothing
+ * @param  {*} value
+ * @param  {String|Array|Object} schema
+ * @param  {String} [path]     Where the value is, for the message
+ */
+function check(value, schema, path = 'body') {
+  const actual = typeOf(value)
+
+  if (typeof schema === 'string') {
+    const optional = schema.slice(-1) === '?'
+    const types = (optional ? schema.slice(0, -1) : schema).split('|')
+
+    if ((optional && value === undefined) || types.indexOf(actual) !== -1) {
+      return undefined
+    }
+
+    return `\`${path}\` should be ${types.join(' or ')}, got ${actual}`
+  }
+
+  if (Array.isArray(schema)) {
+    if (actual !== 'array') {
+      return `\`${path}\` should be array, got ${actual}`
+    }
+
+    for (let i = 0; i < value.length; i++) {
+      const problem = check(value[i], schema[0], `${path}[${i}]`)
+
+      if (problem) {
+        return problem
+      }
+    }
+
+    return undefined
+  }
+
+  if (actual !== 'object') {
+    return `\`${path}\` should be object, got ${actual}`
+  }
+
+  const keys = Object.keys(schema)
+
+  for (let i = 0; i < keys.length; i++) {
+    const problem = check(value[keys[i]], schema[keys[i]], `${path}.${keys[i]}`)
+
+    if (problem) {
+      return problem
+    }
+  }
+
+  return undefined
+}
+
+/**
+ * Validates the body of a response against the schema of its route.
+ * Routes without a schema, like file contents, pass unchecked.
+ * @return {*}  The body
+ * @param  {Object} config     Config of the request
+ * @param  {*} body
+ */
+function validateResponse(config, body) {
+  const method = (config.method || 'get').toLowerCase()
+  const route = SCHEMAS.find(([routeMethod, pattern]) => routeMethod === method && pattern.test(config.url))
+  const problem = route && check(body, route[2])
+
+  if (problem) {
+    throw new NowError(`${method.toUpperCase()} ${config.url} returned an unexpected response: ${problem}`, {
+      code: CODES.UNEXPECTED_RESPONSE,
+      method: method.toUpperCase(),
+      url: config.url,
+      body
+    })
+  }
+
+  return body
+}
+
+module.exports = {
+  check,
+  validateResponse
+}
@@ -0,0 +1,144 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {promisify} = require('util')
+
+const {writeFileDeep} = require('./files')
+
+const readFile = promisify(fs.readFile)
+
+const DEFAULT_FILE = path.join(os.homedir(), '.now-client', 'alias-history.json')
+
+// Stores keep JSON values by key, for the alias history and the response cache.
+// Any object with the same `get`, `set`, `delete` and `keys` methods, returning
+// values or promises, can be used instead.
+
+/**
+ * Keeps the values in a JSON file. Writes are queued, so concurrent
+ * changes within one process don't get lost.
+ * @constructor
+ * @param {String} [file=~/.now-client/alias-history.json]
+ */
+function FileStore(file) {
+  this.file = file || DEFAULT_FILE
+  this.queue = Promise.resolve()
+}
+
+FileStore.prototype = {
+  read() {
+    return readFile(this.file, 'utf8').then(JSON.parse, err => {
+      if (err.code === 'ENOENT') {
+        return {}
+      }
+
+      throw err
+    })
+  },
+
+  // Applies `fn` to the data and writes it back once the previous writes are done
+  update(fn) {
+    const result = this.queue.then(() => this.read()).then(data => {
+      fn(data)
+      return writeFileDeep(this.file, JSON.stringify(data, null, 2))
+    })
+
+    this.queue = result.catch(() => {})
+    return result
+  },
+
+  /**
+   * @return {Promise}  Resolves with the value, or `undefined`
+   * @param  {String} key
+   */
+  get(key) {
+    return this.queue.then(() => this.read()).then(data => data[key])
+  },
+
+  /**
+   * @return {Promise}
+   * @param  {String} key
+   * @param  {*} value
+   */
+  set(key, value) {
+    return this.update(data => {
+      data[key] = value
+    })
+  },
+
+  delete(key) {
+    return this.update(data => {
+      delete data[key]
+    })
+  },
+
+  keys() {
+    return this.queue.then(() => this.read()).then(Object.keys)
+  }
+}
+
+// Keeps the values for the lifetime of the process only
+function MemoryStore() {
+  this.data = new Map()
+}
+
+MemoryStore.prototype = {
+  get(key) {
+    return Promise.resolve(this.data.get(key))
+  },
+
+  set(key, value) {
+    this.data.set(key, value)
+    return Promise.resolve()
+  },
+
+  delete(key) {
+    this.data.delete(key)
+    return Promise.resolve()
+  },
+
+  keys() {
+    return Promise.resolve(Array.from(this.data.keys()))
+  }
+}
+
+/**
+ * Keeps at most `max` values in memory, dropping the least recently used first.
+ * @constructor
+ * @param {Number} [max=100]
+ */
+function LRUStore(max) {
+  MemoryStore.call(this)
+  this.max = max || 100
+}
+
+LRUStore.prototype = Object.assign(Object.create(MemoryStore.prototype), {
+  get(key) {
+    const value = this.data.get(key)
+
+    // Maps keep insertion order, so moving a value to the end marks it as used
+    if (value !== undefined) {
+      this.data.delete(key)
+      this.data.set(key, value)
+    }
+
+    return Promise.resolve(value)
+  },
+
+  set(key, value) {
+    this.data.delete(key)
+    this.data.set(key, value)
+
+    while (this.data.size > this.max) {
+      this.data.delete(this.data.keys().next().value)
+    }
+
+    return Promise.resolve()
+  }
+})
+
+module.exports = {
+  FileStore,
+  MemoryStore,
+  LRUStore
+}
+
@@ -0,0 +1,57 @@
+const crypto = require('crypto')
+
+function sha1(data) {
+  return crypto.createHash('sha1').update(data).digest('hex')
+}
+
+function toBuffer(content) {
+  if (Buffer.isBuffer(content)) {
+    return content
+  }
+
+  return Buffer.from(typeof content === 'string' ? content : JSON.stringify(content))
+}
+
+// Like git, a NUL byte near the start makes a file binary. Text also has
+// to survive decoding as UTF-8, so it can be sent and diffed as a string.
+function isText(data) {
+  return data.slice(0, 8000).indexOf(0) === -1 && Buffer.from(data.toString('utf8'), 'utf8').equals(data)
+}
+
+/**
+ * Turns a deployment body mapping paths to contents into a body that
+ * references the files by their SHA1 hash.
+ * @return {Object}  `{ body, blobs }`, where `blobs` maps every hash to the
+ * contents that have to be uploaded if the API doesn't know it yet
+ * @param  {Object} body     Deployment body, as taken by `createDeployment`
+ */
+function createManifest(body) {
+  const blobs = {}
+  const files = Object.keys(body).filter(key => key !== 'package').map(file => {
+    const data = toBuffer(body[file])
+    const sha = sha1(data)
+
+    blobs[sha] = data
+
+    return {
+      file,
+      sha,
+      size: data.length
+    }
+  })
+
+  return {
+    body: {
+      package: body.package,
+      files
+    },
+    blobs
+  }
+}
+
+module.exports = {
+  sha1,
+  toBuffer,
+  isText,
+  createManifest
+}
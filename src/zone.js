@@ -0,0 +1,242 @@
+const {CODES, ValidationError} = require('./errors')
+
+// Record types the API accepts, everything else in a zone file is skipped
+const SUPPORTED_TYPES = ['A', 'AAAA', 'ALIAS', 'CNAME', 'MX', 'SRV', 'TXT']
+
+const CLASSES = ['IN', 'CH', 'HS']
+
+// Quoted strings, comments, parentheses and plain words
+const TOKEN = /"((?:[^"\\]|\\.)*)"|;.*$|[()]|[^\s;()"]+/g
+
+function invalid(line, message) {
+  return new ValidationError(`Invalid zone file, line ${line}: ${message}`, {
+    code: CODES.INVALID_ZONE,
+    line
+  })
+}
+
+function unescape(text) {
+  return text.replace(/\\(\d{3}|.)/g, (match, char) => {
+    return char.length === 3 ? String.fromCharCode(Number(char)) : char
+  })
+}
+
+/**
+ * Splits a zone file into logical lines. Parentheses continue a line
+ * on the next ones, comments are dropped.
+ * @return {Array}  `{ line, indented, tokens }`, where every token is `{ value, quoted }`
+ * @param  {String} text
+ */
+function tokenize(text) {
+  const lines = []
+  let current
+  let depth = 0
+
+  text.split(/\r?\n/).forEach((content, index) => {
+    if (depth === 0) {
+      current = {line: index + 1, indented: /^\s/.test(content), tokens: []}
+      lines.push(current)
+    }
+
+    let match
+    TOKEN.lastIndex = 0
+
+    while ((match = TOKEN.exec(content))) {
+      const token = match[0]
+
+      if (token[0] === ';') {
+        break
+      } else if (token === '(') {
+        depth++
+      } else if (token === ')') {
+        depth--
+      } else if (token[0] === '"') {
+        current.tokens.push({value: unescape(match[1]), quoted: true})
+      } else {
+        current.tokens.push({value: token, quoted: false})
+      }
+    }
+  })
+
+  if (depth !== 0) {
+    throw invalid(current.line, 'unbalanced parentheses')
+  }
+
+  return lines.filter(line => line.tokens.length > 0)
+}
+
+// Turns a name into a fully qualified one without the trailing dot
+function absolute(name, origin) {
+  if (name === '@') {
+    return origin
+  }
+
+  return /\.$/.test(name) ? name.slice(0, -1) : `${name}.${origin}`
+}
+
+// Turns an owner name into the record name the API expects, relative to the domain
+function relative(name, origin, domain, line) {
+  const full = absolute(name, origin).toLowerCase()
+  const zone = domain.toLowerCase()
+
+  if (full === zone) {
+    return ''
+  }
+
+  if (full.slice(-(zone.length + 1)) !== `.${zone}`) {
+    throw invalid(line, `\`${name}\` is outside of ${domain}`)
+  }
+
+  return full.slice(0, -(zone.length + 1))
+}
+
+function parseData(type, data, origin, line) {
+  const values = data.map(token => token.value)
+  const expect = count => {
+    if (values.length < count) {
+      throw invalid(line, `${type} record needs ${count} values`)
+    }
+  }
+
+  if (type === 'TXT') {
+    expect(1)
+    return {value: values.join('')}
+  }
+
+  if (type === 'MX') {
+    expect(2)
+    return {mxPriority: Number(values[0]), value: absolute(values[1], origin)}
+  }
+
+  if (type === 'SRV') {
+    expect(4)
+    return {
+      srv: {
+        priority: Number(values[0]),
+        weight: Number(values[1]),
+        port: Number(values[2]),
+        target: absolute(values[3], origin)
+      }
+    }
+  }
+
+  expect(1)
+
+  if (type === 'CNAME' || type === 'ALIAS') {
+    return {value: absolute(values[0], origin)}
+  }
+
+  return {value: values[0]}
+}
+
+/**
+ * Parses a BIND zone file into records as taken by `addDomainRecord`.
+ * `$ORIGIN`, `$TTL`, blank owners and relative names are understood.
+ * @return {Object}  `{ records, skipped }`, where `skipped` lists `{ line, name, type }`
+ * of records with a type the API doesn't support (e.g. `SOA` and `NS`)
+ * @param  {String} text     Content of the zone file
+ * @param  {String} domain     Domain the records belong to
+ */
+function parseZone(text, domain) {
+  const records = []
+  const skipped = []
+  let origin = domain
+  let owner = '@'
+
+  tokenize(text).forEach(({line, indented, tokens}) => {
+    const words = tokens.map(token => token.value)
+
+    if (words[0] === '$ORIGIN') {
+      origin = absolute(words[1] || '', origin)
+      return
+    }
+
+    if (words[0] === '$TTL') {
+      return
+    }
+
+    if (words[0][0] === '$') {
+      throw invalid(line, `unsupported directive ${words[0]}`)
+    }
+
+    if (!indented) {
+      owner = words.shift()
+    }
+
+    // TTL and class may come in any order
+    while (words.length > 0 && (/^\d+[smhdw]?$/i.test(words[0]) || CLASSES.indexOf(words[0].toUpperCase()) !== -1)) {
+      words.shift()
+    }
+
+    if (words.length === 0) {
+      throw invalid(line, 'missing record type')
+    }
+
+    const type = words[0].toUpperCase()
+    const name = relative(owner, origin, domain, line)
+
+    if (SUPPORTED_TYPES.indexOf(type) === -1) {
+      skipped.push({line, name, type})
+      return
+    }
+
+    const data = tokens.slice(tokens.length - words.length + 1)
+    records.push(Object.assign({name, type}, parseData(type, data, origin, line)))
+  })
+
+  return {records, skipped}
+}
+
+function fqdn(name) {
+  return /\.$/.test(name) ? name : `${name}.`
+}
+
+// Long texts have to be split into strings of at most 255 characters
+function quote(text) {
+  const chunks = text.match(/[^]{1,255}/g) || ['']
+
+  return chunks.map(chunk => `"${chunk.replace(/(["\\])/g, '\\$1')}"`).join(' ')
+}
+
+function formatData(record) {
+  const value = String(record.value || '')
+
+  switch (record.type) {
+    case 'CNAME':
+    case 'ALIAS':
+      return fqdn(value)
+    case 'MX':
+      return `${record.mxPriority || 0} ${fqdn(value)}`
+    case 'SRV':
+      if (record.srv) {
+        const {priority, weight, port, target} = record.srv
+        return `${priority} ${weight} ${port} ${fqdn(target)}`
+      }
+
+      return value
+    case 'TXT':
+      return quote(value)
+    default:
+      return value
+  }
+}
+
+/**
+ * Renders records as BIND zone file, with names relative to `$ORIGIN`.
+ * @return {String}
+ * @param  {String} domain
+ * @param  {Array} records     As returned by `getDomainRecords`
+ */
+function formatZone(domain, records) {
+  const rows = records.map(record => [record.name || '@', 'IN', record.type, formatData(record)])
+  const width = rows.reduce((max, row) => Math.max(max, row[0].length), 1)
+
+  return [`$ORIGIN ${fqdn(domain)}`]
+    .concat(rows.map(row => `${row[0]}${' '.repeat(width - row[0].length)}  ${row.slice(1).join(' ')}`))
+    .join('\n') + '\n'
+}
+
+module.exports = {
+  parseZone,
+  formatZone
+}
@@ -0,0 +1 @@
+require("./lib/message")
@@ -1,23 +1,76 @@
+const EventEmitter = require('events')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
 const chai = require('chai')
 const Now = require('../dist')
 
 const should = chai.should()
 
-const TOKEN = process.env.TEST_NOW_TOKEN
+const TOKEN = 'test-token'
+
+// Runs `fn` with environment variables set, `undefined` ones removed
+function withEnv(vars, fn) {
+  const previous = {}
+
+  Object.keys(vars).forEach(key => {
+    previous[key] = process.env[key]
+  })
 
-if (!TOKEN) {
-  throw new Error('now token not provided')
+  const apply = values => Object.keys(values).forEach(key => {
+    if (values[key] === undefined) {
+      delete process.env[key]
+    } else {
+      process.env[key] = values[key]
+    }
+  })
+
+  try {
+    apply(vars)
+    return fn()
+  } finally {
+    apply(previous)
+  }
+}
+
+// Stands in for `AbortController`, which Node only has since version 15
+function createController() {
+  const emitter = new EventEmitter()
+  const signal = {
+    aborted: false,
+    addEventListener: (type, listener) => emitter.on(type, listener),
+    removeEventListener: (type, listener) => emitter.removeListener(type, listener)
+  }
+
+  return {
+    signal,
+    abort(reason) {
+      signal.aborted = true
+      signal.reason = reason
+      emitter.emit('abort')
+    }
+  }
 }
 
 describe('Now', function () {
   this.timeout(60000)
 
-  const now = new Now(TOKEN)
+  const mock = new Now.MockServer({token: TOKEN})
 
+  let baseUrl
+  let now
   let instanceId
   let fileId
   let aliasId
 
+  before(() => mock.listen().then(url => {
+    baseUrl = url
+    now = new Now({token: TOKEN, baseUrl, aliasHistory: new Now.MemoryStore()})
+  }))
+
+  after(() => mock.close())
+
   it('should create deployment', done => {
     now.createDeployment({
       package: {
@@ -38,6 +91,117 @@ describe('Now', function () {
     })
   })
 
+  it('should wait for deployment', done => {
+    const states = []
+    const onState = deployment => states.push(deployment.state)
+
+    now.on('deployment-state', onState)
+    now.waitForDeployment(instanceId, {interval: 10})
+    .then(data => {
+      now.removeListener('deployment-state', onState)
+      data.uid.should.equal(instanceId)
+      states[states.length - 1].should.equal(data.state)
+      done()
+    })
+    .catch(err => {
+      throw new Error(err.message)
+    })
+  })
+
+  it('should poll one last time at the deadline before timing out', () => {
+    const building = new Now.MockServer({token: TOKEN, deploymentStates: ['BUILDING']})
+    let start
+
+    return building.listen().then(url => {
+      const client = new Now({token: TOKEN, baseUrl: url})
+
+      return client.createDeployment({'index.js': 'x'}).then(deployment => {
+        start = Date.now()
+        return client.waitForDeployment(deployment.uid, {timeout: 100, interval: 60})
+      })
+    }).then(() => {
+      throw new Error('promise should be rejected due to the timeout')
+    }, err => {
+      const elapsed = Date.now() - start
+
+      err.code.should.equal('deployment_timeout')
+      elapsed.should.be.at.least(100)
+      building.requests.filter(req => req.method === 'GET').length.should.be.at.least(3)
+    }).then(() => building.close(), err => building.close().then(() => {
+      throw err
+    }))
+  })
+
+  it('should deploy a directory', done => {
+    now.deployDirectory(path.join(__dirname, 'fixtures', 'directory'))
+    .then(data => {
+      data.uid.should.be.a('string')
+      data.files.should.deep.equal(['index.js', 'lib/message.js', 'package.json'])
+      return now.deleteDeployment(data.uid)
+    })
+    .then(() => done())
+    .catch(err => {
+      throw new Error(err.message)
+    })
+  })
+
+  it('should create deployment with hashed uploads', done => {
+    const body = {
+      package: {
+        name: 'test-hashed-deployment',
+        scripts: {
+          start: 'node index'
+        }
+      },
+      'index.js': 'console.log("Unit Test!")'
+    }
+
+    const countUploads = () => mock.requests.filter(req => req.path === '/now/files').length
+
+    now.createDeployment(body, {hashed: true})
+    .then(data => {
+      data.uid.should.be.a('string')
+      countUploads().should.equal(1)
+      return now.createDeployment(body, {hashed: true})
+    })
+    .then(data => {
+      countUploads().should.equal(1)
+      return now.deleteDeployment(data.uid)
+    })
+    .then(() => done())
+    .catch(err => {
+      throw new Error(err.message)
+    })
+  })
+
+  it('should deploy binary files without corrupting them', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'now-client-'))
+    const target = fs.mkdtempSync(path.join(os.tmpdir(), 'now-client-'))
+    const png = Buffer.from('89504e470d0a1a0a0000000d49484452ff00', 'hex')
+
+    fs.writeFileSync(path.join(dir, 'package.json'), '{"name": "binary"}')
+    fs.writeFileSync(path.join(dir, 'logo.png'), png)
+
+    return now.deployDirectory(dir).then(deployment => {
+      return now.downloadDeployment(deployment.uid, target).then(() => now.deleteDeployment(deployment.uid))
+    }).then(() => {
+      fs.readFileSync(path.join(target, 'logo.png')).equals(png).should.equal(true)
+    })
+  })
+
+  it('should refuse symlinks pointing outside of the directory', done => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'now-client-'))
+    fs.writeFileSync(path.join(dir, 'package.json'), '{"name": "symlink"}')
+    fs.symlinkSync(os.homedir(), path.join(dir, 'home'))
+
+    now.deployDirectory(dir).then(() => {
+      throw new Error('promise should be rejected due to the symlink')
+    }).catch(err => {
+      err.code.should.equal('symlink_outside_directory')
+      done()
+    })
+  })
+
   it('should retrieve deployments', done => {
     now.getDeployments()
     .then(data => {
@@ -49,15 +213,442 @@ describe('Now', function () {
   })
 
   it('should return error on timeout (and other network errors)', done => {
-    const nowWithShortTimeout = new Now(TOKEN)
-    nowWithShortTimeout.request = nowWithShortTimeout.request.defaults({
-      timeout: 1
-    })
+    const nowWithShortTimeout = new Now({token: TOKEN, baseUrl, retry: false})
+    nowWithShortTimeout.use((config, next) => next(Object.assign({}, config, {timeout: 10})))
+    mock.simulate({path: '/now/deployments', latency: 100})
     nowWithShortTimeout.getDeployments().then(() => {
       throw new Error('promise should be rejected due to timeout')
     }).catch(err => {
-      should.exist(err)
+      err.should.be.an.instanceof(Now.NetworkError)
+      err.code.should.equal('network_error')
+      err.cause.code.should.be.a('string')
+      done()
+    })
+  })
+
+  it('should pass errors that are not about the request through unchanged', () => {
+    const client = new Now({token: TOKEN, baseUrl})
+    const bug = new TypeError('config.headers is undefined')
+
+    client.use(() => {
+      throw bug
+    })
+
+    return client.getSecrets().then(() => {
+      throw new Error('promise should be rejected due to the middleware')
+    }, err => {
+      err.should.equal(bug)
+    })
+  })
+
+  it('should abort requests and call back once', done => {
+    const controller = createController()
+    const calls = []
+
+    mock.simulate({path: '/now/secrets', latency: 500})
+    now.getSecrets({signal: controller.signal}, err => calls.push(err)).catch(err => {
+      err.should.be.an.instanceof(Now.AbortError)
+      err.code.should.equal('aborted')
+      err.reason.should.equal('cancelled')
+    })
+
+    setTimeout(() => controller.abort('cancelled'), 50)
+    setTimeout(() => {
+      calls.should.have.length(1)
+      calls[0].should.be.an.instanceof(Now.AbortError)
+      done()
+    }, 700)
+  })
+
+  it('should not send requests once aborted', () => {
+    const controller = createController()
+    const count = mock.requests.length
+
+    controller.abort()
+    return now.deleteSecret('unknown', {signal: controller.signal}).then(() => {
+      throw new Error('promise should be rejected due to the abort')
+    }, err => {
+      err.should.be.an.instanceof(Now.AbortError)
+      mock.requests.length.should.equal(count)
+    })
+  })
+
+  it('should not start batch operations once aborted', () => {
+    const controller = createController()
+    const count = mock.requests.length
+    const unhandled = []
+    const onUnhandled = err => unhandled.push(err)
+    const {signal} = controller
+
+    controller.abort()
+    process.on('unhandledRejection', onUnhandled)
+
+    return Promise.all([
+      now.pruneDeployments({keepLatest: 1, signal}),
+      now.downloadDeployment('unknown', path.join(os.tmpdir(), 'now-aborted'), {signal}),
+      now.diffDeployments('unknown', 'other', {signal}),
+      now.applyDomainRecords('example.com', {domain: 'example.com', creates: [], deletes: []}, {signal}),
+      now.checkCertificates({signal}),
+      now.syncSecrets({KEY: 'value'}, {signal})
+    ].map(promise => promise.then(() => {
+      throw new Error('promise should be rejected due to the abort')
+    }, err => {
+      err.should.be.an.instanceof(Now.AbortError)
+    }))).then(() => new Promise(resolve => setTimeout(resolve, 100))).then(() => {
+      process.removeListener('unhandledRejection', onUnhandled)
+      unhandled.should.deep.equal([])
+      mock.requests.length.should.equal(count)
+    }, err => {
+      process.removeListener('unhandledRejection', onUnhandled)
+      throw err
+    })
+  })
+
+  it('should pass every attempt through the middleware', done => {
+    const calls = []
+    const client = new Now({token: TOKEN, baseUrl, retry: {minDelay: 1, jitter: false}})
+
+    client.use((config, next) => {
+      calls.push('outer')
+      return next(Object.assign({}, config, {
+        headers: Object.assign({}, config.headers, {'x-request-id': 'req-1'})
+      }))
+    }).use((config, next) => {
+      calls.push(config.headers.Authorization)
+      return next(config).then(res => {
+        calls.push(res.statusCode)
+        return res
+      }, err => {
+        calls.push(err.status)
+        throw err
+      })
+    })
+
+    mock.simulate({path: '/now/secrets', status: 503})
+    client.getSecrets().then(() => {
+      calls.should.deep.equal(['outer', `Bearer ${TOKEN}`, 503, 'outer', `Bearer ${TOKEN}`, 200])
+      mock.requests[mock.requests.length - 1].headers['x-request-id'].should.equal('req-1')
+      done()
+    }).catch(err => {
+      throw new Error(err.message)
+    })
+  })
+
+  it('should serve fresh responses from the cache and invalidate them on mutations', () => {
+    const cached = new Now({token: TOKEN, baseUrl, cache: {ttl: 60000}})
+    const count = () => mock.requests.filter(req => req.path === '/now/aliases').length
+    let before
+
+    return cached.getAliases().then(() => {
+      before = count()
+      return cached.getAliases()
+    }).then(() => {
+      count().should.equal(before)
+      return cached.createAlias(instanceId, 'cache-test.now.sh')
+    }).then(alias => {
+      return cached.getAliases().then(aliases => {
+        count().should.equal(before + 1)
+        aliases.map(item => item.alias).should.contain('cache-test.now.sh')
+        return cached.deleteAlias(alias.uid)
+      })
+    })
+  })
+
+  it('should revalidate stale responses with their ETag', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'now-client-')), 'cache.json')
+    const cached = new Now({token: TOKEN, baseUrl, cache: {ttl: 0, store: new Now.FileStore(file)}})
+    const last = () => mock.requests[mock.requests.length - 1]
+
+    return cached.getSecrets().then(first => {
+      should.not.exist(last().headers['if-none-match'])
+      return cached.getSecrets().then(second => {
+        last().headers['if-none-match'].should.be.a('string')
+        second.should.deep.equal(first)
+        Object.keys(JSON.parse(fs.readFileSync(file, 'utf8'))).should.have.length(1)
+      })
+    })
+  })
+
+  it('should record scrubbed fixtures and replay them', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'now-client-')), 'fixtures.json')
+    const recording = new Now({token: TOKEN, baseUrl, record: file})
+    let secret
+
+    return recording.createSecret('recorded', 'super-secret-value').then(created => {
+      secret = created
+      return recording.getSecrets()
+    }).then(secrets => {
+      const content = fs.readFileSync(file, 'utf8')
+      content.should.not.contain(TOKEN)
+      content.should.not.contain('super-secret-value')
+
+      const replaying = withEnv({NOW_TOKEN: undefined, NOW_REPLAY: file}, () => new Now())
+      const sent = mock.requests.length
+
+      return replaying.createSecret('recorded', 'another-value').then(created => {
+        created.uid.should.equal(secret.uid)
+        return replaying.getSecrets()
+      }).then(replayed => {
+        replayed.should.deep.equal(secrets)
+        mock.requests.length.should.equal(sent)
+        return replaying.getSecrets()
+      }).then(() => {
+        throw new Error('Expected an unmatched request to fail')
+      }, err => {
+        err.should.be.an.instanceof(Now.NowError)
+        err.code.should.equal(Now.ERROR_CODES.REPLAY_MISMATCH)
+        return now.deleteSecret(secret.uid)
+      })
+    })
+  })
+
+  it('should reject responses that drift from their schema in strict mode', () => {
+    const strict = new Now({token: TOKEN, baseUrl, strict: true})
+
+    return strict.getDeployments().then(deployments => {
+      deployments.should.be.an('array')
+      mock.simulate({path: '/now/certs', status: 200, body: {certificates: []}})
+      return strict.getCertificates()
+    }).then(() => {
+      throw new Error('Expected a drifted response to fail')
+    }, err => {
+      err.should.be.an.instanceof(Now.NowError)
+      err.code.should.equal(Now.ERROR_CODES.UNEXPECTED_RESPONSE)
+      err.message.should.contain('`body.certs` should be array, got undefined')
+      mock.simulate({path: '/now/secrets', status: 200, body: {secrets: [{name: 'unnamed'}]}})
+      return strict.getSecrets()
+    }).then(() => {
+      throw new Error('Expected a drifted response to fail')
+    }, err => {
+      err.message.should.contain('`body.secrets[0].uid` should be string, got undefined')
+    })
+  })
+
+  it('should retrieve a limited number of deployments', done => {
+    now.getDeployments({limit: 1})
+    .then(data => {
+      data.should.be.an('array')
+      data.length.should.be.at.most(1)
+      done()
+    }).catch(err => {
+      throw new Error(err.message)
+    })
+  })
+
+  it('should iterate over all deployments', done => {
+    Now.collect(now.iterateDeployments({limit: 1}))
+    .then(data => {
+      data.should.be.an('array')
+      data.map(deployment => deployment.uid).should.include(instanceId)
+      done()
+    }).catch(err => {
+      throw new Error(err.message)
+    })
+  })
+
+  it('should retry idempotent requests on transient failures', done => {
+    const nowWithRetries = new Now({
+      token: TOKEN,
+      baseUrl,
+      retry: {
+        minDelay: 1
+      }
+    })
+    const requests = mock.requests.length
+
+    mock.simulate({method: 'get', path: '/now/deployments', status: 503})
+    nowWithRetries.getDeployments().then(data => {
+      (mock.requests.length - requests).should.equal(2)
+      data.should.be.an('array')
+      done()
+    }).catch(err => {
+      throw new Error(err.message)
+    })
+  })
+
+  it('should not retry POST requests by default', done => {
+    mock.simulate({method: 'post', path: '/now/secrets', status: 503})
+    now.createSecret('not-retried', 'secret').then(() => {
+      throw new Error('promise should be rejected due to the server error')
+    }).catch(err => {
+      err.should.be.an.instanceof(Now.ServerError)
+      err.status.should.equal(503)
+      done()
+    })
+  })
+
+  it('should reject with a RateLimitError when rate limited', done => {
+    const nowWithoutRetries = new Now({token: TOKEN, baseUrl, retry: false})
+
+    mock.simulate({status: 429, headers: {'Retry-After': '2'}, body: {error: {code: 'rate_limited'}}})
+    nowWithoutRetries.getAliases().then(() => {
+      throw new Error('promise should be rejected due to the rate limit')
+    }).catch(err => {
+      err.should.be.an.instanceof(Now.RateLimitError)
+      err.retryAfter.should.equal(2000)
+      done()
+    })
+  })
+
+  it('should not wait for a Retry-After longer than maxDelay', () => {
+    const client = new Now({token: TOKEN, baseUrl, retry: {minDelay: 1, maxDelay: 1000}})
+    const count = mock.requests.length
+    const start = Date.now()
+
+    mock.simulate({path: '/now/aliases', status: 429, headers: {'Retry-After': '60'}})
+    return client.getAliases().then(() => {
+      throw new Error('promise should be rejected due to the rate limit')
+    }, err => {
+      err.should.be.an.instanceof(Now.RateLimitError)
+      err.retryAfter.should.equal(60000)
+      mock.requests.length.should.equal(count + 1)
+      Date.now().should.be.below(start + 1000)
+
+      mock.simulate({path: '/now/aliases', status: 429, headers: {'Retry-After': '0'}})
+      return client.getAliases()
+    }).then(aliases => {
+      aliases.should.be.an('array')
+      mock.requests.length.should.equal(count + 3)
+    })
+  })
+
+  it('should rate limit requests of the mock server', () => {
+    const limited = new Now.MockServer({token: TOKEN, rateLimit: {limit: 2, window: 1000}})
+
+    return limited.listen().then(url => {
+      const client = new Now({token: TOKEN, baseUrl: url, retry: false})
+
+      return client.getSecrets().then(() => client.getSecrets()).then(() => client.getSecrets())
+    }).then(() => {
+      throw new Error('promise should be rejected due to the rate limit')
+    }, err => {
+      err.should.be.an.instanceof(Now.RateLimitError)
+      err.retryAfter.should.equal(1000)
+    }).then(() => limited.close(), err => limited.close().then(() => {
+      throw err
+    }))
+  })
+
+  it('should reject with an AuthError for invalid tokens', done => {
+    new Now({token: 'invalid', baseUrl}).getSecrets().then(() => {
+      throw new Error('promise should be rejected due to the invalid token')
+    }).catch(err => {
+      err.should.be.an.instanceof(Now.AuthError)
+      err.status.should.equal(401)
+      done()
+    })
+  })
+
+  it('should reject with a ValidationError on missing parameters', done => {
+    now.createAlias(instanceId).then(() => {
+      throw new Error('promise should be rejected due to the missing alias')
+    }).catch(err => {
+      err.should.be.an.instanceof(Now.ValidationError)
+      err.should.be.an.instanceof(Now.NowError)
+      err.code.should.equal(Now.ERROR_CODES.MISSING_ALIAS)
+      done()
+    })
+  })
+
+  it('should reject with a NotFoundError for unknown deployments', done => {
+    now.getDeployment('does-not-exist').then(() => {
+      throw new Error('promise should be rejected due to the unknown deployment')
+    }).catch(err => {
+      err.should.be.an.instanceof(Now.NotFoundError)
+      err.status.should.equal(404)
+      err.method.should.equal('GET')
+      done()
+    })
+  })
+
+  it('should use the token and options of a profile', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'now-client-'))
+    const configFile = path.join(dir, 'config.json')
+    fs.writeFileSync(configFile, JSON.stringify({
+      profiles: {
+        default: {token: 'invalid'},
+        prod: {token: TOKEN, baseUrl}
+      }
+    }))
+
+    const withProfile = new Now({profile: 'prod', configFile})
+    withProfile.token.should.equal(TOKEN)
+    return withProfile.getSecrets()
+  })
+
+  it('should read the config from the XDG path and select NOW_PROFILE', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'now-client-'))
+    fs.mkdirSync(path.join(dir, 'now-client'))
+    fs.writeFileSync(path.join(dir, 'now-client', 'config.json'), JSON.stringify({
+      profiles: {staging: {token: 'staging-token', team: 'staging'}}
+    }))
+
+    withEnv({XDG_CONFIG_HOME: dir, NOW_PROFILE: 'staging', NOW_TOKEN: 'ignored'}, () => {
+      const staging = new Now()
+      staging.token.should.equal('staging-token')
+      staging.team.should.equal('staging')
+    })
+  })
+
+  it('should throw an AuthError without token', () => {
+    const configFile = path.join(os.tmpdir(), 'now-client-missing.json')
+
+    withEnv({NOW_TOKEN: undefined, NOW_PROFILE: undefined}, () => {
+      should.throw(() => new Now({configFile}), Now.AuthError, /No token found/)
+      should.throw(() => new Now({configFile, profile: 'prod'}), Now.AuthError, /No profile `prod`/)
+    })
+  })
+
+  it('should derive a client scoped to a team', () => {
+    const scoped = now.withTeam('team_test')
+    scoped.should.be.an.instanceof(Now)
+    scoped.token.should.equal(now.token)
+    scoped.teamId.should.equal('team_test')
+    should.not.exist(now.teamId)
+  })
+
+  it('should operate within the team', done => {
+    now.withTeam('team_test').getDeployments()
+    .then(data => {
+      data.should.deep.equal([])
+      mock.requests[mock.requests.length - 1].query.teamId.should.equal('team_test')
       done()
+    }).catch(err => {
+      throw new Error(err.message)
+    })
+  })
+
+  it('should prune deployments by retention policy', done => {
+    const team = now.withTeam('team_prune')
+    const deploy = name => team.createDeployment({package: {name}, 'index.js': name}).then(data => data.uid)
+    const ids = []
+
+    deploy('prune-test')
+    .then(id => ids.push(id) && deploy('prune-test'))
+    .then(id => ids.push(id) && deploy('prune-test'))
+    .then(id => ids.push(id) && deploy('other'))
+    .then(() => team.createAlias(ids[0], 'prune-test.now.sh'))
+    .then(() => team.pruneDeployments({keepLatest: 1, dryRun: true}))
+    .then(report => {
+      const deletes = report.results.filter(result => result.action === 'delete')
+      deletes.map(result => result.uid).should.deep.equal([ids[1]])
+      report.results.find(result => result.uid === ids[0]).reason.should.equal('aliased')
+      return team.pruneDeployments({keepLatest: 1})
+    })
+    .then(report => {
+      report.failed.should.equal(0)
+      return team.getDeployments()
+    })
+    .then(deployments => {
+      deployments.map(deployment => deployment.uid).should.not.contain(ids[1])
+      deployments.should.have.length(3)
+      return team.pruneDeployments({olderThanDays: 1})
+    })
+    .then(report => {
+      report.results.every(result => result.action === 'keep').should.equal(true)
+      done()
+    }).catch(err => {
+      throw new Error(err.message)
     })
   })
 
@@ -82,6 +673,82 @@ describe('Now', function () {
     })
   })
 
+  it('should retrieve deployment logs', done => {
+    const events = []
+
+    now.getDeploymentLogs(instanceId)
+    .on('data', event => events.push(event))
+    .on('error', err => {
+      throw new Error(err.message)
+    })
+    .on('end', () => {
+      events.forEach(event => event.date.should.be.a('date'))
+      done()
+    })
+  })
+
+  it('should follow deployment logs until ready, reconnecting after a dropped stream', () => {
+    const building = new Now.MockServer({token: TOKEN, deploymentStates: ['BUILDING', 'BUILDING', 'READY']})
+    const reconnects = []
+
+    // What `for await` does, which the tests can't be written with
+    const readAll = (iterator, events) => iterator.next().then(({value, done}) => {
+      return done ? events : readAll(iterator, events.concat(value))
+    })
+
+    return building.listen().then(url => {
+      const client = new Now({token: TOKEN, baseUrl: url, retry: false})
+
+      return client.createDeployment({'index.js': 'x'}).then(deployment => {
+        building.simulate({method: 'get', path: /\/logs$/, network: true})
+
+        const stream = client.getDeploymentLogs(deployment.uid, {follow: true, interval: 10})
+        stream.on('reconnect', err => reconnects.push(err))
+
+        return readAll(stream[Symbol.asyncIterator](), [])
+      })
+    }).then(events => {
+      reconnects.should.have.length(1)
+      reconnects[0].should.be.an.instanceof(Now.NetworkError)
+      events.map(event => event.text).should.deep.equal([
+        'Deployment is BUILDING',
+        'Deployment is BUILDING',
+        'Deployment is READY'
+      ])
+    }).then(() => building.close(), err => building.close().then(() => {
+      throw err
+    }))
+  })
+
+  it('should stop following logs of failed deployments and fail fast on client errors', () => {
+    const failing = new Now.MockServer({token: TOKEN, deploymentStates: ['BUILDING', 'ERROR']})
+    const reconnects = []
+    let client
+
+    const read = (id, events) => new Promise((resolve, reject) => {
+      client.getDeploymentLogs(id, {follow: true, interval: 10})
+      .on('data', event => events.push(event.text))
+      .on('reconnect', err => reconnects.push(err))
+      .on('error', reject)
+      .on('end', () => resolve(events))
+    })
+
+    return failing.listen().then(url => {
+      client = new Now({token: TOKEN, baseUrl: url, retry: false})
+      return client.createDeployment({'index.js': 'x'})
+    }).then(deployment => read(deployment.uid, [])).then(events => {
+      events.should.deep.equal(['Deployment is BUILDING', 'Deployment is ERROR'])
+      return read('unknown', [])
+    }).then(() => {
+      throw new Error('stream should fail due to the unknown deployment')
+    }, err => {
+      err.should.be.an.instanceof(Now.NotFoundError)
+      reconnects.should.have.length(0)
+    }).then(() => failing.close(), err => failing.close().then(() => {
+      throw err
+    }))
+  })
+
   it('should retrieve file list from deployment', done => {
     now.getFiles(instanceId)
     .then(data => {
@@ -111,6 +778,99 @@ describe('Now', function () {
     })
   })
 
+  it('should retrieve raw file content from deployment', done => {
+    now.getFile(instanceId, fileId, {raw: true})
+    .then(data => {
+      Buffer.isBuffer(data).should.equal(true)
+      done()
+    }).catch(err => {
+      throw new Error(err.message)
+    })
+  })
+
+  it('should download deployment', done => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'now-client-'))
+
+    now.downloadDeployment(instanceId, dir)
+    .then(manifest => {
+      const file = manifest.find(entry => entry.path === 'index.js')
+
+      manifest.map(entry => entry.path).sort().should.deep.equal(['index.js', 'package.json'])
+      file.size.should.equal(25)
+      file.sha.should.be.a('string')
+      fs.readFileSync(path.join(dir, 'index.js'), 'utf8').should.equal('console.log("Unit Test!")')
+      done()
+    }).catch(err => {
+      throw new Error(err.message)
+    })
+  })
+
+  it('should diff two deployments', done => {
+    now.createDeployment({
+      package: {name: 'test-deployment'},
+      'index.js': 'console.log("Diff Test!")',
+      'README.md': '# Test'
+    })
+    .then(data => now.diffDeployments(instanceId, data.uid))
+    .then(result => {
+      result.added.should.deep.equal(['README.md'])
+      result.removed.should.deep.equal([])
+      result.modified.should.deep.equal(['index.js', 'package.json'])
+      result.diffs['index.js'].should.contain('-console.log("Unit Test!")')
+      result.diffs['index.js'].should.contain('+console.log("Diff Test!")')
+      done()
+    }).catch(err => {
+      throw new Error(err.message)
+    })
+  })
+
+  it('should diff a deployment against a local directory', done => {
+    now.diffDeployments(instanceId, {dir: path.join(__dirname, 'fixtures', 'directory')})
+    .then(result => {
+      result.added.should.deep.equal(['lib/message.js'])
+      result.modified.should.deep.equal(['index.js', 'package.json'])
+      done()
+    }).catch(err => {
+      throw new Error(err.message)
+    })
+  })
+
+  it('should diff files named like properties of objects', () => {
+    const dirs = [0, 1].map(() => fs.mkdtempSync(path.join(os.tmpdir(), 'now-client-')))
+
+    dirs.forEach(dir => fs.writeFileSync(path.join(dir, 'package.json'), '{"name": "names"}'))
+    fs.writeFileSync(path.join(dirs[0], 'constructor'), 'old\n')
+    fs.writeFileSync(path.join(dirs[0], 'hasOwnProperty'), 'old\n')
+    fs.writeFileSync(path.join(dirs[1], 'hasOwnProperty'), 'new\n')
+    fs.writeFileSync(path.join(dirs[1], 'toString'), 'new\n')
+
+    return now.deployDirectory(dirs[0]).then(deployment => {
+      return now.diffDeployments(deployment.uid, {dir: dirs[1]}).then(result => {
+        result.added.should.deep.equal(['toString'])
+        result.removed.should.deep.equal(['constructor'])
+        result.modified.should.deep.equal(['hasOwnProperty', 'package.json'])
+        Object.keys(result.diffs).should.deep.equal(['hasOwnProperty', 'package.json'])
+        return now.deleteDeployment(deployment.uid)
+      })
+    })
+  })
+
+  it('should not diff binary files that have no NUL byte', () => {
+    const dirs = [0, 1].map(() => fs.mkdtempSync(path.join(os.tmpdir(), 'now-client-')))
+
+    dirs.forEach(dir => fs.writeFileSync(path.join(dir, 'package.json'), '{"name": "binary"}'))
+    fs.writeFileSync(path.join(dirs[0], 'image.bin'), Buffer.from('ffd8ffe041', 'hex'))
+    fs.writeFileSync(path.join(dirs[1], 'image.bin'), Buffer.from('ffd8ffe142', 'hex'))
+
+    return now.deployDirectory(dirs[0]).then(deployment => {
+      return now.diffDeployments(deployment.uid, {dir: dirs[1]}).then(result => {
+        result.modified.should.include('image.bin')
+        should.not.exist(result.diffs['image.bin'])
+        return now.deleteDeployment(deployment.uid)
+      })
+    })
+  })
+
   it('should create alias', done => {
     now.createAlias(instanceId, `${instanceId}.now.sh`)
     .then(data => {
@@ -168,6 +928,55 @@ describe('Now', function () {
     })
   })
 
+  it('should refuse to promote deployments that are not ready', done => {
+    now.createDeployment({'index.js': 'console.log("Not ready")'})
+    .then(data => now.promote(data.uid, 'promote-test.now.sh'))
+    .then(() => {
+      throw new Error('Expected promote to fail')
+    }, err => {
+      err.code.should.equal(Now.ERROR_CODES.DEPLOYMENT_NOT_READY)
+      done()
+    }).catch(err => {
+      throw new Error(err.message)
+    })
+  })
+
+  it('should promote deployments and roll them back', done => {
+    const alias = 'promote-test.now.sh'
+    let nextId
+
+    now.promote(instanceId, alias)
+    .then(entry => {
+      should.equal(entry.previousDeploymentId, null)
+      return now.createDeployment({'index.js': 'console.log("Next")'})
+    })
+    .then(data => {
+      nextId = data.uid
+      return now.promote(nextId, alias, {wait: true, interval: 10})
+    })
+    .then(entry => {
+      entry.previousDeploymentId.should.equal(instanceId)
+      return now.rollback(alias)
+    })
+    .then(entry => {
+      entry.deploymentId.should.equal(instanceId)
+      entry.previousDeploymentId.should.equal(nextId)
+      return now.getAliasHistory(alias)
+    })
+    .then(history => {
+      history.map(entry => entry.action).should.deep.equal(['rollback', 'promote', 'promote'])
+      return now.rollback(alias)
+    })
+    .then(() => {
+      throw new Error('Expected rollback to fail')
+    }, err => {
+      err.code.should.equal(Now.ERROR_CODES.NO_ROLLBACK_TARGET)
+      done()
+    }).catch(err => {
+      throw new Error(err.message)
+    })
+  })
+
   it('should remove deployment', done => {
     now.deleteDeployment(instanceId)
     .then(data => {
@@ -181,6 +990,264 @@ describe('Now', function () {
     })
   })
 
+  it('should import and export DNS zones', done => {
+    const zone = [
+      '$ORIGIN zone-test.com.',
+      '$TTL 3600',
+      '@       IN  SOA   ns1.zeit.world. hostmaster.zone-test.com. (',
+      '                 2017010101 7200 3600 1209600 3600 )',
+      '        IN  NS    ns1.zeit.world.',
+      '@       IN  A     192.0.2.1',
+      'www     IN  CNAME @',
+      'mail    300 IN A  192.0.2.2',
+      '@       IN  MX    10 mail',
+      '@       IN  TXT   "v=spf1 mx" " -all" ; SPF',
+      '_sip._tcp.zone-test.com. IN SRV 10 5 5060 sip.example.com.'
+    ].join('\n')
+
+    now.addDomain({name: 'zone-test.com'})
+    .then(() => now.importZone('zone-test.com', zone))
+    .then(result => {
+      result.skipped.map(record => record.type).should.deep.equal(['SOA', 'NS'])
+      result.created.should.have.length(6)
+      return now.getDomainRecords('zone-test.com')
+    })
+    .then(records => {
+      const mx = records.find(record => record.type === 'MX')
+      mx.value.should.equal('mail.zone-test.com')
+      mx.mxPriority.should.equal(10)
+      records.find(record => record.type === 'TXT').value.should.equal('v=spf1 mx -all')
+      return now.exportZone('zone-test.com')
+    })
+    .then(text => {
+      text.should.contain('$ORIGIN zone-test.com.')
+      text.should.contain('www        IN CNAME zone-test.com.')
+      text.should.contain('_sip._tcp  IN SRV 10 5 5060 sip.example.com.')
+      text.should.contain('@          IN TXT "v=spf1 mx -all"')
+      done()
+    }).catch(err => {
+      throw new Error(err.message)
+    })
+  })
+
+  it('should reject invalid zone files', done => {
+    now.importZone('zone-test.com', 'www IN MX 10')
+    .then(() => {
+      throw new Error('Expected importZone to fail')
+    }, err => {
+      err.should.be.an.instanceof(Now.ValidationError)
+      err.code.should.equal(Now.ERROR_CODES.INVALID_ZONE)
+      err.line.should.equal(1)
+      done()
+    }).catch(err => {
+      throw new Error(err.message)
+    })
+  })
+
+  it('should plan and apply DNS records', done => {
+    const desired = [
+      {name: '', type: 'A', value: '192.0.2.1'},
+      {name: 'www', type: 'CNAME', value: 'zone-test.now.sh'},
+      {name: 'api', type: 'A', value: '192.0.2.3'}
+    ]
+    let plan
+
+    now.planDomainRecords('zone-test.com', desired)
+    .then(result => {
+      plan = result
+      plan.creates.map(record => record.name).should.deep.equal(['www', 'api'])
+      plan.deletes.map(record => record.value).should.deep.equal(['zone-test.com'])
+      plan.unchanged.should.have.length(1)
+      return now.applyDomainRecords('zone-test.com', plan, {dryRun: true})
+    })
+    .then(report => {
+      report.dryRun.should.equal(true)
+      report.results.should.have.length(3)
+      return now.getDomainRecords('zone-test.com')
+    })
+    .then(records => {
+      records.should.have.length(6)
+      return now.applyDomainRecords('zone-test.com', plan)
+    })
+    .then(report => {
+      report.failed.should.equal(0)
+      report.results.map(result => result.action).should.deep.equal(['create', 'create', 'delete'])
+      return now.planDomainRecords('zone-test.com', desired)
+    })
+    .then(result => {
+      result.creates.should.have.length(0)
+      result.deletes.should.have.length(0)
+      return now.planDomainRecords('zone-test.com', desired, {prune: true})
+    })
+    .then(result => {
+      result.deletes.map(record => record.type).sort().should.deep.equal(['A', 'MX', 'SRV', 'TXT'])
+      done()
+    }).catch(err => {
+      throw new Error(err.message)
+    })
+  })
+
+  it('should report records that failed to apply', done => {
+    const plan = {
+      domain: 'zone-test.com',
+      creates: [{name: 'broken'}],
+      deletes: [{id: 'does-not-exist'}]
+    }
+
+    now.applyDomainRecords('other-test.com', plan).then(() => {
+      throw new Error('promise should be rejected due to the other domain')
+    }, err => {
+      err.should.be.an.instanceof(Now.ValidationError)
+      err.code.should.equal('plan_domain_mismatch')
+      return now.applyDomainRecords('zone-test.com', plan)
+    })
+    .then(report => {
+      report.failed.should.equal(2)
+      report.results[0].error.should.be.an.instanceof(Now.ValidationError)
+      report.results[1].error.should.be.an.instanceof(Now.NotFoundError)
+      done()
+    }).catch(err => {
+      throw new Error(err.message)
+    })
+  })
+
+  it('should renew certificates expiring within the window', done => {
+    now.createCertificate('cert-test.com')
+    .then(() => now.checkCertificates())
+    .then(report => {
+      report.healthy.map(entry => entry.cn).should.deep.equal(['cert-test.com'])
+      report.healthy[0].daysLeft.should.be.within(89, 90)
+
+      mock.simulate({method: 'post', path: '/now/certs', status: 500})
+      return now.checkCertificates({renewWithinDays: 100})
+    })
+    .then(report => {
+      report.failed.should.have.length(1)
+      report.failed[0].error.should.be.an.instanceof(Now.ServerError)
+      return now.checkCertificates({renewWithinDays: 100})
+    })
+    .then(report => {
+      report.renewed.map(entry => entry.cn).should.deep.equal(['cert-test.com'])
+      done()
+    }).catch(err => {
+      throw new Error(err.message)
+    })
+  })
+
+  it('should monitor certificates periodically', done => {
+    const monitor = now.monitorCertificates({renewWithinDays: 100, interval: 10})
+    let reports = 0
+
+    monitor.on('renewed', entry => {
+      entry.cn.should.equal('cert-test.com')
+    })
+
+    monitor.on('report', () => {
+      if (++reports === 2) {
+        monitor.stop()
+        done()
+      }
+    })
+  })
+
+  it('should emit failed checks and keep monitoring', done => {
+    const client = new Now({token: TOKEN, baseUrl, retry: false})
+    const monitor = client.monitorCertificates({interval: 10})
+    const errors = []
+
+    mock.simulate({method: 'get', path: '/now/certs', status: 500})
+    monitor.on('error', err => errors.push(err))
+    monitor.on('report', () => {
+      errors.should.have.length(1)
+      errors[0].should.be.an.instanceof(Now.ServerError)
+      monitor.stop()
+      done()
+    })
+  })
+
+  it('should sync secrets from a .env file', done => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'now-client-')), '.env')
+    fs.writeFileSync(file, '# Comment\nexport API_KEY=first\nDB_URL="postgres://db"\n')
+
+    now.syncSecrets(file, {prefix: 'sync_'})
+    .then(report => {
+      report.created.should.deep.equal(['sync_API_KEY', 'sync_DB_URL'])
+      return now.syncSecrets({API_KEY: 'second'}, {prefix: 'sync_', prune: true, dryRun: true})
+    })
+    .then(report => {
+      report.replaced.should.deep.equal(['sync_API_KEY'])
+      report.deleted.should.deep.equal(['sync_DB_URL'])
+      return now.getSecrets()
+    })
+    .then(secrets => {
+      secrets.filter(secret => /^sync_/.test(secret.name)).should.have.length(2)
+      return now.syncSecrets({API_KEY: 'second'}, {prefix: 'sync_', prune: true})
+    })
+    .then(report => {
+      JSON.stringify(report).should.not.contain('second')
+      report.failed.should.have.length(0)
+      return now.getSecrets()
+    })
+    .then(secrets => {
+      secrets.filter(secret => /^sync_/.test(secret.name)).map(secret => secret.name).should.deep.equal(['sync_API_KEY'])
+      done()
+    }).catch(err => {
+      throw new Error(err.message)
+    })
+  })
+
+  it('should check values before syncing and never leave a replaced secret without value', () => {
+    const secrets = () => mock.scope({}).secrets.filter(secret => /^keep_/.test(secret.name))
+    const names = () => secrets().map(secret => secret.name).sort()
+    const value = name => secrets().find(secret => secret.name === name).value
+
+    return now.syncSecrets({FOO: 'one'}, {prefix: 'keep_'}).then(() => {
+      return now.syncSecrets({FOO: '', BAR: 'two'}, {prefix: 'keep_'})
+    }).then(() => {
+      throw new Error('promise should be rejected due to the empty value')
+    }, err => {
+      err.should.be.an.instanceof(Now.ValidationError)
+      err.code.should.equal('missing_value')
+      names().should.deep.equal(['keep_FOO'])
+      return now.syncSecrets({FOO: 'two'}, {prefix: 'keep_', overwrite: false})
+    }).then(report => {
+      report.skipped.should.deep.equal(['keep_FOO'])
+      report.replaced.should.deep.equal([])
+
+      mock.simulate({method: 'post', path: '/now/secrets', status: 500})
+      return now.syncSecrets({FOO: 'three'}, {prefix: 'keep_'})
+    }).then(report => {
+      report.replaced.should.deep.equal([])
+      report.failed.should.have.length(1)
+      report.failed[0].name.should.equal('keep_FOO')
+      report.failed[0].action.should.equal('replaced')
+      should.not.exist(report.failed[0].temporary)
+      names().should.deep.equal(['keep_FOO'])
+      value('keep_FOO').should.equal('one')
+
+      mock.simulate({method: 'patch', path: /^\/now\/secrets\//, status: 500})
+      return now.syncSecrets({FOO: 'four'}, {prefix: 'keep_'})
+    }).then(report => {
+      report.failed.should.have.length(1)
+      report.failed[0].temporary.should.match(/^keep_FOO-[0-9a-f]{8}$/)
+      names().should.deep.equal([report.failed[0].temporary])
+      value(report.failed[0].temporary).should.equal('four')
+
+      return now.syncSecrets({FOO: 'five'}, {prefix: 'keep_', prune: true})
+    }).then(report => {
+      report.created.should.deep.equal(['keep_FOO'])
+      report.deleted.should.have.length(1)
+      names().should.deep.equal(['keep_FOO'])
+
+      return now.syncSecrets({FOO: 'six'}, {prefix: 'keep_'})
+    }).then(report => {
+      report.replaced.should.deep.equal(['keep_FOO'])
+      report.failed.should.deep.equal([])
+      names().should.deep.equal(['keep_FOO'])
+      value('keep_FOO').should.equal('six')
+    })
+  })
+
   it('should create secret', done => {
     now.createSecret('test-secret', 'secret')
     .then(data => {
@@ -221,4 +1288,133 @@ describe('Now', function () {
       throw new Error(err.message)
     })
   })
+
+  it('should delete several secrets and report the ones that failed', () => {
+    return Promise.all([
+      now.createSecret('batch-a', 'a'),
+      now.createSecret('batch-b', 'b')
+    ]).then(() => now.deleteSecrets(['batch-a', 'batch-unknown', 'batch-b'], {concurrency: 2})).then(report => {
+      report.failed.should.equal(1)
+      report.results.map(result => [result.id, result.status]).should.deep.equal([
+        ['batch-a', 'fulfilled'],
+        ['batch-unknown', 'rejected'],
+        ['batch-b', 'fulfilled']
+      ])
+      report.results[0].value.uid.should.be.a('string')
+      report.results[1].error.should.be.an.instanceof(Now.NotFoundError)
+    })
+  })
+
+  it('should run batches with bounded concurrency', () => {
+    let pending = 0
+    let maxPending = 0
+
+    const ops = [1, 2, 3, 4, 5, 6].map(n => () => {
+      pending++
+      maxPending = Math.max(maxPending, pending)
+
+      return new Promise(resolve => setTimeout(resolve, 10)).then(() => {
+        pending--
+
+        if (n === 4) {
+          throw new Error('Failed')
+        }
+
+        return n
+      })
+    })
+
+    return now.batch(ops, {concurrency: 2}).then(report => {
+      maxPending.should.equal(2)
+      report.failed.should.equal(1)
+      report.results.map(result => result.value).should.deep.equal([1, 2, 3, undefined, 5, 6])
+      report.results[3].status.should.equal('rejected')
+      report.results[3].error.message.should.equal('Failed')
+    })
+  })
+})
+
+describe('now-client', () => {
+  const cli = require('../dist/cli') // eslint-disable-line global-require
+  const mock = new Now.MockServer({token: TOKEN})
+
+  let baseUrl
+
+  // Collects what a command writes, resolves with `{ code, stdout, stderr }`
+  const run = args => {
+    const output = {stdout: '', stderr: ''}
+    const io = {
+      stdout: {write: text => {
+        output.stdout += text
+      }},
+      stderr: {write: text => {
+        output.stderr += text
+      }}
+    }
+
+    return cli.run(args.concat(['--token', TOKEN, '--base-url', baseUrl]), io).then(code => {
+      return Object.assign({code}, output)
+    })
+  }
+
+  before(() => mock.listen().then(url => {
+    baseUrl = url
+  }))
+
+  after(() => mock.close())
+
+  it('should add a secret and list it as table', () => {
+    return run(['secrets', 'add', 'cli-secret', 'value']).then(result => {
+      result.code.should.equal(0)
+      return run(['secrets', 'ls'])
+    }).then(result => {
+      result.code.should.equal(0)
+      const lines = result.stdout.trim().split('\n')
+      lines[0].should.match(/^uid\s+name\s+created$/)
+      lines[1].should.contain('cli-secret')
+    })
+  })
+
+  it('should print JSON', () => {
+    return run(['secrets', 'ls', '--json']).then(result => {
+      const secrets = JSON.parse(result.stdout)
+      secrets[0].name.should.equal('cli-secret')
+    })
+  })
+
+  it('should call methods by their name', () => {
+    return run(['getSecrets', '--json']).then(result => {
+      result.code.should.equal(0)
+      JSON.parse(result.stdout).should.be.an('array')
+    })
+  })
+
+  it('should exit with a code reflecting the error class', () => {
+    return run(['deployments', 'get', 'does-not-exist']).then(result => {
+      result.code.should.equal(4)
+      result.stderr.should.contain('not_found')
+    })
+  })
+
+  it('should exit with 2 on missing arguments', () => {
+    return run(['aliases', 'set', 'id']).then(result => {
+      result.code.should.equal(2)
+      result.stderr.should.contain('Missing <alias>')
+    })
+  })
+
+  it('should only turn the values of number flags into numbers', () => {
+    cli.parseArgs(['deployments', 'ls', '--team-id', '123', '--limit=5', '--token', '0042']).flags.should.deep.equal({
+      teamId: '123',
+      limit: 5,
+      token: '0042'
+    })
+  })
+
+  it('should refuse --all for certificates of a single cn', () => {
+    return run(['certs', 'ls', 'example.com', '--all']).then(result => {
+      result.code.should.equal(2)
+      result.stderr.should.contain('--all doesn\'t support <cn>')
+    })
+  })
 })